@@ -3,9 +3,17 @@ import { Button } from '@/components/ui/button.jsx'
 import { Input } from '@/components/ui/input.jsx'
 import { Label } from '@/components/ui/label.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { ChartContainer, ChartTooltip, ChartTooltipContent, ChartLegend, ChartLegendContent } from '@/components/ui/chart.jsx'
 import { Play, Pause, SkipForward, RotateCcw } from 'lucide-react'
-import { Universe, Particle } from './lib/physics'
-import { config } from './lib/config'
+import { BarChart, Bar, CartesianGrid, Cell, LineChart, Line, XAxis, YAxis } from 'recharts'
+import { Particle, INTEGRATORS, FORCE_SOLVERS, BOUNDARY_MODES, WALLS, WALL_MODES, EXTERNAL_FIELD_TYPES, ATTRACTOR_FALLOFFS, ATTRACTOR_PATHS, PAIR_POTENTIALS, BOND_TYPES, THERMOSTATS, DRAG_MODELS, EMISSION_MODELS } from './lib/physics'
+import { SimulationClient } from './lib/simulationClient'
+import { Random } from './lib/random'
+import { BUILT_IN_SPECIES, FORCES, createSpeciesRegistry } from './lib/species'
+import { photonWavelength, spectrumBinWavelength, wavelengthToColor } from './lib/spectrum'
+import { checkPotentialGradients, coulomb } from './lib/potentials'
+import { FORCE_PLUGINS, forceParameters, fromSimulationValue, toSimulationParameters } from './lib/forces'
+import { CELESTIAL_PRESETS } from './lib/presets'
 import './App.css'
 
 /*
@@ -18,61 +26,291 @@ import './App.css'
   and by changing the parameters of the universe.
   The user can also zoom in and out of the universe, and pan the universe around.
   The user can also select the view axis of the universe.
-  The user can also select the particle type to add to the universe.
-  The user can also select the charge multiplier for the drawn protons.
+  The user can also select the particle species to add to the universe, and define custom species.
+  The user can also select the charge multiplier for the drawn charged particles.
   The user can also select the number of protons and electrons in the universe.
   The user can also select the number of steps to run the universe for.
 */
 
+// Version of the scene files written by Save Scene
+const SCENE_VERSION = 1
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Whether a loaded parameter value has the type of the current one: finite numbers, lists of
+// objects (fields, attractors, potentials...), and objects whose shared keys match in turn
+const matchesParameterType = (value, current) => {
+  if (Array.isArray(current)) return Array.isArray(value) && value.every(isObject)
+  if (isObject(current)) {
+    return isObject(value) && Object.keys(value).every(key => !(key in current) || matchesParameterType(value[key], current[key]))
+  }
+  if (typeof current === 'number') return Number.isFinite(value)
+  return typeof value === typeof current
+}
+
+// Check the shape of a parsed scene file before anything is applied, so a bad file leaves the
+// current universe untouched. Returns an error message, or null for a valid scene.
+const validateScene = (scene, currentParameters) => {
+  if (!isObject(scene)) return 'the file does not contain a scene object'
+  if (scene.version !== SCENE_VERSION) return `unsupported scene version ${scene.version} (expected ${SCENE_VERSION})`
+  if (!Number.isFinite(scene.seed)) return 'missing or invalid seed'
+  if (scene.randomState !== undefined && !Number.isFinite(scene.randomState)) return 'invalid randomState'
+  if (!isObject(scene.parameters)) return 'missing parameters'
+  
+  const unknown = Object.keys(scene.parameters).filter(name => !(name in currentParameters))
+  if (unknown.length > 0) return `unknown parameters: ${unknown.join(', ')}`
+  const invalid = Object.keys(scene.parameters).filter(name => !matchesParameterType(scene.parameters[name], currentParameters[name]))
+  if (invalid.length > 0) return `invalid values for parameters: ${invalid.join(', ')}`
+  
+  if (!Array.isArray(scene.particles) || !scene.particles.every(isObject)) return 'missing or invalid particles'
+  for (const key of ['bonds', 'angles']) {
+    if (scene[key] !== undefined && (!Array.isArray(scene[key]) || !scene[key].every(isObject))) return `invalid ${key}`
+  }
+  return null
+}
+
 function App() {
   const canvasRef = useRef(null)
-  const universeRef = useRef(null)
-  const animationRef = useRef(null)
+  const simulationRef = useRef(null) // Client of the worker running the universe
+  const snapshotRef = useRef(null) // Latest universe snapshot received from the worker
+  const randomRef = useRef(null) // Seeded generator for scene creation and drawn particles
+  const pendingSceneRef = useRef(null) // Loaded scene waiting for the 3D mode switch before starting
+  const sceneFileInputRef = useRef(null)
+  const draggedAttractorRef = useRef(null) // {index, offset} of the attractor dragged with the attractor tool
   
   const [isPlaying, setIsPlaying] = useState(false)
-  const [electrostaticCoefficient, setElectrostaticCoefficient] = useState(10)
+  const [simulationError, setSimulationError] = useState(null) // Last error reported by the worker (playing has stopped)
+  const [selectedPreset, setSelectedPreset] = useState(CELESTIAL_PRESETS[0].id)
+  // Parameters of the registered forces (electrostatic, strong, gravity, ...) in UI units, keyed by name (see forces.js)
+  const [forceParameterValues, setForceParameterValues] = useState(() =>
+    Object.fromEntries(forceParameters().map(parameter => [parameter.name, parameter.default]))
+  )
   const [staticProtons, setStaticProtons] = useState(true)
-  const [strongForceEnabled, setStrongForceEnabled] = useState(true)
-  const [strongForceCoefficient, setStrongForceCoefficient] = useState(10)
-  const [gravityEnabled, setGravityEnabled] = useState(true)
-  const [gravityCoefficient, setGravityCoefficient] = useState(10)
-  const [groundGravityEnabled, setGroundGravityEnabled] = useState(false)
-  const [groundGravityCoefficient, setGroundGravityCoefficient] = useState(10)
+  const [shortRangeCutoff, setShortRangeCutoff] = useState(0.1)
+  const [pairPotentials, setPairPotentials] = useState([]) // Lennard-Jones / Morse potentials per species pair, energies in units of 1e-6
+  const [potentialGradientCheck, setPotentialGradientCheck] = useState(null) // Last result of checkPotentialGradients
   const [photonEmissionEnabled, setPhotonEmissionEnabled] = useState(false)
-  const [displayMagneticField, setDisplayMagneticField] = useState(false)
+  const [photonEmissionModel, setPhotonEmissionModel] = useState('speedThreshold')
+  const [larmorCoefficient, setLarmorCoefficient] = useState(0.01)
+  const [larmorPhotonEnergy, setLarmorPhotonEnergy] = useState(1) // In units of 1e-6
+  const [photonMomentumConservation, setPhotonMomentumConservation] = useState(false)
+  const [fieldDisplay, setFieldDisplay] = useState('none') // 'none', 'electricPotential' or 'magneticField'
+  const [magneticField, setMagneticField] = useState({ x: 0, y: 0, z: 0 })
+  const [movingChargeMagneticField, setMovingChargeMagneticField] = useState(false)
+  const [magneticCoefficient, setMagneticCoefficient] = useState(1)
+  const [externalElectricFields, setExternalElectricFields] = useState([])
+  const [attractors, setAttractors] = useState([]) // User-placed gravity wells, strengths in units of 1e-6
+  const [collisionsEnabled, setCollisionsEnabled] = useState(false)
+  const [collisionRestitution, setCollisionRestitution] = useState(1)
+  const [dragEnabled, setDragEnabled] = useState(false)
+  const [dragModel, setDragModel] = useState('linear')
+  // Drag coefficient per species: by default every built-in species slows down within ~10 s (m / γ)
+  const [dragCoefficients, setDragCoefficients] = useState(() => Object.fromEntries(
+    Object.values(BUILT_IN_SPECIES).filter(species => !species.isPhoton).map(species => [species.id, species.mass * 0.1])
+  ))
+  const [dragRegions, setDragRegions] = useState([]) // Boxes filled with the medium (none = the whole universe)
+  const [customSpecies, setCustomSpecies] = useState([]) // User-defined species (see species.js)
   const [mode3D, setMode3D] = useState(false)
+  const [boundaryMode, setBoundaryMode] = useState('walls')
+  const [wallModes, setWallModes] = useState({ xMin: 'sticky', xMax: 'sticky', yMin: 'sticky', yMax: 'sticky', zMin: 'sticky', zMax: 'sticky' })
+  const [wallRestitution, setWallRestitution] = useState(0.8)
+  const [integrator, setIntegrator] = useState('euler')
+  const [relativistic, setRelativistic] = useState(false)
+  const [speedOfLight, setSpeedOfLight] = useState(0.01)
+  const [thermostat, setThermostat] = useState('none')
+  const [targetTemperature, setTargetTemperature] = useState(0.1) // In units of 1e-6
+  const [thermostatTimeConstant, setThermostatTimeConstant] = useState(1)
+  const [adaptiveTimeStep, setAdaptiveTimeStep] = useState(false)
+  const [accelerationTolerance, setAccelerationTolerance] = useState(1e-4)
+  const [closeEncounterTolerance, setCloseEncounterTolerance] = useState(0.1)
+  const [forceSolver, setForceSolver] = useState('pairwise')
+  const [barnesHutTheta, setBarnesHutTheta] = useState(0.5)
+  const [conservationSampleInterval, setConservationSampleInterval] = useState(100) // Steps between two dashboard samples
+  const [snapshot, setSnapshot] = useState(null)
+  const [seed, setSeed] = useState(1)
   const [viewAxis, setViewAxis] = useState('xy') // 'xy', 'xz', or 'yz'
   const [numSteps, setNumSteps] = useState(1)
   const [electronCount, setElectronCount] = useState(5)
   const [protonCount, setProtonCount] = useState(1)
   const [drawMode, setDrawMode] = useState(false)
-  const [selectedParticleType, setSelectedParticleType] = useState('proton') // 'proton' or 'electron'
-  const [chargeMultiplier, setChargeMultiplier] = useState(1) // Charge multiplier for drawn protons
+  const [selectedSpecies, setSelectedSpecies] = useState('proton') // Species id of drawn particles
+  const [chargeMultiplier, setChargeMultiplier] = useState(1) // Charge multiplier for drawn particles
+  const [drawTool, setDrawTool] = useState('particle') // 'particle', 'bond', 'angle' or 'attractor'
+  const [bondType, setBondType] = useState('harmonic') // See BOND_TYPES
+  const [bondStiffness, setBondStiffness] = useState(0.01)
+  const [angleStiffness, setAngleStiffness] = useState(0.001)
+  const [selectedParticleIds, setSelectedParticleIds] = useState([]) // Particles picked so far by the bond and angle tools
   const [zoomMode, setZoomMode] = useState(false)
   const [zoomLevel, setZoomLevel] = useState(1)
   const [zoomCenterX, setZoomCenterX] = useState(0.5)
   const [zoomCenterY, setZoomCenterY] = useState(0.5)
   
-  // Initialize universe
-  useEffect(() => {
-    const universe = new Universe(1.0, electrostaticCoefficient * 1e-6)
-    
-    // Apply current settings
-    universe.setStaticProtons(staticProtons)
-    universe.setStrongForceEnabled(strongForceEnabled)
-    universe.setStrongForceCoefficient(strongForceCoefficient)
-    universe.setGravityEnabled(gravityEnabled)
-    universe.setGravityCoefficient(gravityCoefficient)
-    universe.setGroundGravityEnabled(groundGravityEnabled)
-    universe.setGroundGravityCoefficient(groundGravityCoefficient)
-    universe.setMode3D(mode3D)
+  // Built-in and user-defined species keyed by id
+  const speciesRegistry = createSpeciesRegistry(customSpecies)
+  
+  // Current universe parameters (see Universe.setParameters)
+  const getParameters = () => ({
+    ...toSimulationParameters(forceParameterValues),
+    staticProtons,
+    shortRangeCutoff,
+    pairPotentials,
+    photonEmissionEnabled,
+    photonEmissionModel,
+    larmorCoefficient,
+    larmorPhotonEnergy: larmorPhotonEnergy * 1e-6,
+    photonMomentumConservation,
+    mode3D,
+    boundaryMode,
+    wallModes,
+    wallRestitution,
+    magneticField,
+    movingChargeMagneticField,
+    magneticCoefficient: magneticCoefficient * 1e-6,
+    externalElectricFields,
+    attractors,
+    collisionsEnabled,
+    collisionRestitution,
+    dragEnabled,
+    dragModel,
+    dragCoefficients,
+    dragRegions,
+    customSpecies,
+    integrator,
+    relativistic,
+    speedOfLight,
+    thermostat,
+    targetTemperature: targetTemperature * 1e-6,
+    thermostatTimeConstant,
+    adaptiveTimeStep,
+    accelerationTolerance,
+    closeEncounterTolerance,
+    conservationSampleInterval,
+    forceSolver,
+    barnesHutTheta,
+  })
+  
+  // UI state setter for each universe parameter, used when loading a scene
+  const parameterSetters = {
+    // Registered forces: back to UI units, rounded so they scale to exactly the saved values
+    ...Object.fromEntries(forceParameters().map(parameter => [
+      parameter.name,
+      (value) => setForceParameterValues(values => ({ ...values, [parameter.name]: fromSimulationValue(parameter, value) }))
+    ])),
+    staticProtons: setStaticProtons,
+    shortRangeCutoff: setShortRangeCutoff,
+    pairPotentials: setPairPotentials,
+    photonEmissionEnabled: setPhotonEmissionEnabled,
+    photonEmissionModel: setPhotonEmissionModel,
+    larmorCoefficient: setLarmorCoefficient,
+    larmorPhotonEnergy: (value) => setLarmorPhotonEnergy(Number((value / 1e-6).toPrecision(12))),
+    photonMomentumConservation: setPhotonMomentumConservation,
+    mode3D: setMode3D,
+    boundaryMode: setBoundaryMode,
+    wallModes: setWallModes,
+    wallRestitution: setWallRestitution,
+    magneticField: setMagneticField,
+    movingChargeMagneticField: setMovingChargeMagneticField,
+    magneticCoefficient: (value) => setMagneticCoefficient(Number((value / 1e-6).toPrecision(12))),
+    externalElectricFields: setExternalElectricFields,
+    attractors: setAttractors,
+    collisionsEnabled: setCollisionsEnabled,
+    collisionRestitution: setCollisionRestitution,
+    dragEnabled: setDragEnabled,
+    dragModel: setDragModel,
+    dragCoefficients: setDragCoefficients,
+    dragRegions: setDragRegions,
+    customSpecies: setCustomSpecies,
+    integrator: setIntegrator,
+    relativistic: setRelativistic,
+    speedOfLight: setSpeedOfLight,
+    thermostat: setThermostat,
+    targetTemperature: (value) => setTargetTemperature(Number((value / 1e-6).toPrecision(12))),
+    thermostatTimeConstant: setThermostatTimeConstant,
+    adaptiveTimeStep: setAdaptiveTimeStep,
+    accelerationTolerance: setAccelerationTolerance,
+    closeEncounterTolerance: setCloseEncounterTolerance,
+    conservationSampleInterval: setConservationSampleInterval,
+    forceSolver: setForceSolver,
+    barnesHutTheta: setBarnesHutTheta,
+  }
+  
+  // New external electric field of the given type (see EXTERNAL_FIELD_TYPES), strengths in units of 1e-6
+  const createExternalElectricField = (type) => ({
+    type,
+    ex: 0, ey: 1, ez: 0,
+    axis: 'x', gradient: 0, origin: 0.5, // Used by 'gradient' fields
+    minX: 0.3, maxX: 0.7, minY: 0.4, maxY: 0.6, minZ: 0, maxZ: 1, // Used by 'region' fields
+  })
+  
+  const updateExternalElectricField = (index, changes) => {
+    setExternalElectricFields(fields => fields.map((field, i) => i === index ? { ...field, ...changes } : field))
+  }
+  
+  // New attractor at a position (see ATTRACTOR_FALLOFFS and ATTRACTOR_PATHS), strength in units of 1e-6
+  const createAttractor = (x, y, z) => ({
+    x, y, z,
+    strength: 10, falloff: 'inverseSquare', softening: 0.02,
+    path: 'fixed', pathRadius: 0.1, pathPeriod: 200, pathAngle: 0, // Used by moving attractors
+  })
+  
+  const updateAttractor = (index, changes) => {
+    setAttractors(list => list.map((attractor, i) => i === index ? { ...attractor, ...changes } : attractor))
+  }
+  
+  const updateDragRegion = (index, changes) => {
+    setDragRegions(regions => regions.map((region, i) => i === index ? { ...region, ...changes } : region))
+  }
+  
+  // New pair potential of the given type (see PAIR_POTENTIALS), energies in units of 1e-6
+  const createPairPotential = (type) => ({
+    type,
+    speciesA: 'neutron', speciesB: 'neutron',
+    epsilon: 10, sigma: 0.03, // Used by 'lennardJones' potentials
+    depth: 10, alpha: 50, equilibrium: 0.035, // Used by 'morse' potentials
+  })
+  
+  const updatePairPotential = (index, changes) => {
+    setPairPotentials(potentials => potentials.map((potential, i) => i === index ? { ...potential, ...changes } : potential))
+  }
+  
+  // New user-defined species, numbered after the existing ones
+  const createCustomSpecies = () => {
+    const number = customSpecies.reduce((max, species) => Math.max(max, parseInt(species.id.slice(7)) || 0), 0) + 1
+    return {
+      id: `custom-${number}`,
+      name: `Custom ${number}`,
+      charge: 1,
+      mass: 10,
+      radius: 0.015,
+      color: '#a855f7',
+      symbol: null,
+      isPhoton: false,
+      radiates: false,
+      forces: { electromagnetic: true, strong: true, gravity: true },
+    }
+  }
+  
+  const updateCustomSpecies = (id, changes) => {
+    setCustomSpecies(list => list.map(species => species.id === id ? { ...species, ...changes } : species))
+  }
+  
+  const removeCustomSpecies = (id) => {
+    setCustomSpecies(list => list.filter(species => species.id !== id))
+    if (selectedSpecies === id) {
+      setSelectedSpecies('proton')
+    }
+  }
+  
+  // Create the initial protons and electrons of a new scene
+  const createInitialParticles = (random) => {
+    const particles = []
     
     // Add protons at random positions (mass 100)
     for (let i = 0; i < protonCount; i++) {
-      const px = 0.2 + Math.random() * 0.6
-      const py = 0.2 + Math.random() * 0.6
-      const pz = mode3D ? (0.2 + Math.random() * 0.6) : 0.5
-      universe.addParticle(new Particle(px, py, 0, 0, 1, 100, false, pz, 0))
+      const px = 0.2 + random.next() * 0.6
+      const py = 0.2 + random.next() * 0.6
+      const pz = mode3D ? (0.2 + random.next() * 0.6) : 0.5
+      particles.push(Particle.fromSpecies(BUILT_IN_SPECIES.proton, px, py, { z: pz }))
     }
     
     // Add free electrons randomly
@@ -80,102 +318,251 @@ function App() {
       if (mode3D) {
         // 3D: distribute on sphere
         const phi = (Math.PI * 2 * i) / electronCount
-        const theta = Math.acos(2 * Math.random() - 1) // Uniform distribution on sphere
-        const radius = 0.2 + Math.random() * 0.2
+        const theta = Math.acos(2 * random.next() - 1) // Uniform distribution on sphere
+        const radius = 0.2 + random.next() * 0.2
         const x = 0.5 + radius * Math.sin(theta) * Math.cos(phi)
         const y = 0.5 + radius * Math.sin(theta) * Math.sin(phi)
         const z = 0.5 + radius * Math.cos(theta)
         
         let vx = 0, vy = 0, vz = 0
         
-        universe.addParticle(new Particle(x, y, vx, vy, -1, 1, false, z, vz))
+        particles.push(Particle.fromSpecies(BUILT_IN_SPECIES.electron, x, y, { z, vx, vy, vz }))
       } else {
         // 2D: distribute on circle
         const angle = (Math.PI * 2 * i) / electronCount
-        const radius = 0.2 + Math.random() * 0.2
+        const radius = 0.2 + random.next() * 0.2
         const x = 0.5 + radius * Math.cos(angle)
         const y = 0.5 + radius * Math.sin(angle)
         
         let vx = 0, vy = 0
         
-        universe.addParticle(new Particle(x, y, vx, vy, -1, 1, false, 0.5, 0))
+        particles.push(Particle.fromSpecies(BUILT_IN_SPECIES.electron, x, y, { vx, vy }))
       }
     }
     
-    universeRef.current = universe
-    drawUniverse()
+    return particles
+  }
+  
+  // Start a new scene from the current seed: the same seed and parameters always
+  // place the same particles and give the same trajectories
+  const startScene = (withParticles) => {
+    const random = new Random(seed)
+    randomRef.current = random
+    const particles = withParticles ? createInitialParticles(random) : []
+    simulationRef.current.init({ ...getParameters(), seed }, particles)
+  }
+  
+  // Start a scene loaded from a file, resuming its random number generator
+  const startLoadedScene = (scene) => {
+    simulationRef.current.init(
+      { ...scene.parameters, seed: scene.seed, randomState: scene.randomState },
+      scene.particles,
+      scene.bonds ?? [],
+      scene.angles ?? []
+    )
+  }
+  
+  // Start the simulation worker; every snapshot it posts is stored and drawn
+  useEffect(() => {
+    const simulation = new SimulationClient((newSnapshot) => {
+      snapshotRef.current = newSnapshot
+      setSnapshot(newSnapshot)
+    }, (message) => {
+      setSimulationError(message)
+      setIsPlaying(false)
+    })
+    simulationRef.current = simulation
+    
+    return () => {
+      simulation.terminate()
+      simulationRef.current = null
+    }
+  }, [])
+  
+  // Initialize universe
+  useEffect(() => {
+    if (pendingSceneRef.current) {
+      startLoadedScene(pendingSceneRef.current)
+      pendingSceneRef.current = null
+      return
+    }
+    startScene(true)
   }, [mode3D])  // Only restart when 3D mode changes (locked after initialization)
   
-  // Update electrostatic coefficient when changed
+  // Update the registered forces' parameters when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setElectrostaticCoefficient(electrostaticCoefficient * 1e-6)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters(toSimulationParameters(forceParameterValues))
     }
-  }, [electrostaticCoefficient])
+  }, [forceParameterValues])
   
   
   // Update static protons when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setStaticProtons(staticProtons)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ staticProtons })
     }
   }, [staticProtons])
   
   
-  // Update strong force when changed
+  // Update short-range cutoff when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ shortRangeCutoff })
+    }
+  }, [shortRangeCutoff])
+  
+  // Update pair potentials when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ pairPotentials })
+    }
+  }, [pairPotentials])
+  
+  
+  // Update integrator when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ integrator })
+    }
+  }, [integrator])
+  
+  // Update relativistic dynamics and speed of light when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ relativistic, speedOfLight })
+    }
+  }, [relativistic, speedOfLight])
+  
+  // Update thermostat when changed (switching thermostats resets the Nosé–Hoover friction)
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ thermostat })
+    }
+  }, [thermostat])
+  
+  // Update thermostat target temperature and time constant when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({
+        targetTemperature: targetTemperature * 1e-6,
+        thermostatTimeConstant
+      })
+    }
+  }, [targetTemperature, thermostatTimeConstant])
+  
+  // Update adaptive time stepping when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ adaptiveTimeStep, accelerationTolerance, closeEncounterTolerance })
+    }
+  }, [adaptiveTimeStep, accelerationTolerance, closeEncounterTolerance])
+  
+  // Update energy and momentum sampling interval when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ conservationSampleInterval })
+    }
+  }, [conservationSampleInterval])
+  
+  // Update boundary conditions when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ boundaryMode })
+    }
+  }, [boundaryMode])
+  
+  // Update wall modes when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ wallModes, wallRestitution })
+    }
+  }, [wallModes, wallRestitution])
+  
+  // Update user-defined species when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setStrongForceEnabled(strongForceEnabled)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ customSpecies })
     }
-  }, [strongForceEnabled])
+  }, [customSpecies])
   
-  // Update strong force coefficient when changed
+  // Update hard-sphere collisions when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setStrongForceCoefficient(strongForceCoefficient)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ collisionsEnabled, collisionRestitution })
     }
-  }, [strongForceCoefficient])
+  }, [collisionsEnabled, collisionRestitution])
   
+  // Update viscous medium when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ dragEnabled, dragModel, dragCoefficients, dragRegions })
+    }
+  }, [dragEnabled, dragModel, dragCoefficients, dragRegions])
   
-  // Update gravity when changed
+  // Update external electric fields when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setGravityEnabled(gravityEnabled)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ externalElectricFields })
     }
-  }, [gravityEnabled])
+  }, [externalElectricFields])
   
-  // Update ground gravity when changed
+  // Update attractors when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setGroundGravityEnabled(groundGravityEnabled)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ attractors })
     }
-  }, [groundGravityEnabled])
+  }, [attractors])
   
-  // Update ground gravity coefficient when changed
+  // Update magnetic field when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setGroundGravityCoefficient(groundGravityCoefficient)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({
+        magneticField,
+        movingChargeMagneticField,
+        magneticCoefficient: magneticCoefficient * 1e-6
+      })
     }
-  }, [groundGravityCoefficient])
+  }, [magneticField, movingChargeMagneticField, magneticCoefficient])
   
-  // Update gravity coefficient when changed
+  // Update electrostatic force solver when changed
   useEffect(() => {
-    if (universeRef.current) {
-      universeRef.current.setGravityCoefficient(gravityCoefficient)
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ forceSolver, barnesHutTheta })
     }
-  }, [gravityCoefficient])
+  }, [forceSolver, barnesHutTheta])
   
   // Update photon emission setting when changed
   useEffect(() => {
-    config.photonEmission.enabled = photonEmissionEnabled
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ photonEmissionEnabled })
+    }
   }, [photonEmissionEnabled])
+  
+  // Update photon emission model when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({
+        photonEmissionModel,
+        larmorCoefficient,
+        larmorPhotonEnergy: larmorPhotonEnergy * 1e-6
+      })
+    }
+  }, [photonEmissionModel, larmorCoefficient, larmorPhotonEnergy])
+  
+  // Update photon momentum conservation when changed
+  useEffect(() => {
+    if (simulationRef.current) {
+      simulationRef.current.setParameters({ photonMomentumConservation })
+    }
+  }, [photonMomentumConservation])
 
-  // Disable magnetic field display when 3D mode is enabled
+  // Disable field display when 3D mode is enabled
   useEffect(() => {
-    if (mode3D && displayMagneticField) {
-      setDisplayMagneticField(false)
+    if (mode3D && fieldDisplay !== 'none') {
+      setFieldDisplay('none')
     }
-  }, [mode3D, displayMagneticField])
+  }, [mode3D, fieldDisplay])
   
   // Helper function to calculate depth-based color intensity (VMD-style)
   // Maps z-coordinate to brightness factor based on actual z-range in scene
@@ -225,8 +612,12 @@ function App() {
     return `rgb(${newR}, ${newG}, ${newB})`;
   };
 
+  // Whether a particle's species feels electromagnetism (same rule as Universe.takesPart)
+  const isElectromagnetic = (particle) =>
+    !particle.isPhoton && speciesRegistry[particle.species]?.forces.electromagnetic !== false
+  
   // Calculate electric potential at a given point
-  // Returns an object with {potential, magnitude} where potential can be positive, negative, or zero
+  // Returns an object with {value, magnitude} where the potential can be positive, negative, or zero
   // Positive potential = blue, negative potential = red, zero = black
   const calculateElectricPotentialAtPoint = (x, y, universe) => {
     let totalPotential = 0;
@@ -234,37 +625,75 @@ function App() {
     // Sum up electric potentials from all particles (excluding photons)
     // Electric potential: V = K_electro * q / r (scalar, no minus sign)
     for (const particle of universe.particles) {
-      if (particle.isPhoton) continue;
+      if (!isElectromagnetic(particle)) continue;
       
-      const dx = particle.x - x;
-      const dy = particle.y - y;
+      let dx = particle.x - x;
+      let dy = particle.y - y;
+      if (universe.boundaryMode === 'periodic') {
+        // Nearest periodic image, as in the force calculation
+        dx -= universe.size * Math.round(dx / universe.size);
+        dy -= universe.size * Math.round(dy / universe.size);
+      }
       const distanceSquared = dx * dx + dy * dy;
       const distance = Math.sqrt(distanceSquared);
       
       if (distance < 1e-6) continue; // Skip if too close
       
-      // Calculate electric potential: V = (K_electro * q) / r
-      const potential = (universe.electrostaticCoefficient * particle.charge) / (distance + 0.01);
+      // Calculate electric potential: V = (K_electro * q) / r, softened like the force (see potentials.js)
+      const potential = coulomb(distance, universe.electrostaticCoefficient * particle.charge, universe.softeningLength).energy;
       totalPotential += potential;
     }
     
     return {
-      potential: totalPotential,  // Can be positive, negative, or zero
+      value: totalPotential,  // Can be positive, negative, or zero
       magnitude: Math.abs(totalPotential)  // Magnitude for normalization
     };
   };
 
+  // Calculate the magnetic field component normal to the screen (Bz) at a given point
+  // Returns an object with {value, magnitude}, same format as calculateElectricPotentialAtPoint
+  // Out of the screen (Bz > 0) = blue, into the screen (Bz < 0) = red
+  const calculateMagneticFieldAtPoint = (x, y, universe) => {
+    let bz = universe.magneticField.z;
+    
+    // Field of moving charges (Biot-Savart): Bz = K_magnetic * q * (v × r̂)_z / (r² + ε²)
+    if (universe.movingChargeMagneticField) {
+      for (const particle of universe.particles) {
+        if (particle.charge === 0 || !isElectromagnetic(particle)) continue;
+        
+        let dx = x - particle.x;
+        let dy = y - particle.y;
+        if (universe.boundaryMode === 'periodic') {
+          dx -= universe.size * Math.round(dx / universe.size);
+          dy -= universe.size * Math.round(dy / universe.size);
+        }
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance < 1e-6) continue; // Skip if too close
+        
+        bz += universe.magneticCoefficient * particle.charge * (particle.vx * dy - particle.vy * dx) /
+          ((distance * distance + universe.softeningLength ** 2) * distance);
+      }
+    }
+    
+    return {
+      value: bz,
+      magnitude: Math.abs(bz)
+    };
+  };
+
   const drawUniverse = () => {
     const canvas = canvasRef.current
     if (!canvas) return
     
     const ctx = canvas.getContext('2d')
     const size = canvas.width
-    const universe = universeRef.current
+    const universe = snapshotRef.current
     
     // Clear canvas
     ctx.fillStyle = '#0a0a0a'
     ctx.fillRect(0, 0, size, size)
+    if (!universe) return
     
     // Calculate zoom viewport
     const viewWidth = 1 / zoomLevel
@@ -272,21 +701,24 @@ function App() {
     const viewMinX = zoomCenterX - viewWidth / 2
     const viewMinY = zoomCenterY - viewHeight / 2
     
-    // Draw magnetic field visualization (only in 2D mode)
-    if (!mode3D && displayMagneticField && universe) {
+    // Draw field visualization: electric potential or magnetic field (only in 2D mode)
+    if (!mode3D && fieldDisplay !== 'none' && universe) {
+      const calculateFieldAtPoint = fieldDisplay === 'magneticField'
+        ? calculateMagneticFieldAtPoint
+        : calculateElectricPotentialAtPoint;
       const gridSize = 100;
-      const potentialValues = [];
+      const fieldValues = [];
       let maxMagnitude = 0;
       
-      // Calculate electric potentials for grid
+      // Calculate field values for grid
       for (let i = 0; i < gridSize; i++) {
         for (let j = 0; j < gridSize; j++) {
           // Map grid coordinates to universe coordinates (accounting for zoom)
           const universeX = viewMinX + (i / gridSize) * viewWidth;
           const universeY = viewMinY + (j / gridSize) * viewHeight;
           
-          const result = calculateElectricPotentialAtPoint(universeX, universeY, universe);
-          potentialValues.push(result);
+          const result = calculateFieldAtPoint(universeX, universeY, universe);
+          fieldValues.push(result);
           maxMagnitude = Math.max(maxMagnitude, result.magnitude);
         }
       }
@@ -300,7 +732,7 @@ function App() {
       
       // Calculate percentile thresholds for better normalization
       // This helps when there are outliers (very strong fields near particles)
-      const magnitudes = potentialValues.map(v => v.magnitude).filter(m => m > 0);
+      const magnitudes = fieldValues.map(v => v.magnitude).filter(m => m > 0);
       magnitudes.sort((a, b) => a - b);
       const percentile95 = magnitudes.length > 0 
         ? magnitudes[Math.floor(magnitudes.length * 0.95)] 
@@ -310,16 +742,16 @@ function App() {
       for (let i = 0; i < gridSize; i++) {
         for (let j = 0; j < gridSize; j++) {
           const idx = i * gridSize + j;
-          const { potential, magnitude } = potentialValues[idx];
+          const { value, magnitude } = fieldValues[idx];
           
           // Skip only if truly negligible (relative to max)
           if (magnitude < relativeThreshold) {
-            // Very small potential: draw very faint color or skip
+            // Very small value: draw very faint color or skip
             // Draw a very subtle indication so user knows there's a field, just weak
             if (magnitude > relativeThreshold * 0.1) {
               // Draw very faint color
               const faintIntensity = Math.round((magnitude / relativeThreshold) * 30); // Max 30 for very faint
-              if (potential > 0) {
+              if (value > 0) {
                 ctx.fillStyle = `rgba(0, 0, ${faintIntensity}, 0.2)`;
               } else {
                 ctx.fillStyle = `rgba(${faintIntensity}, 0, 0, 0.2)`;
@@ -339,14 +771,14 @@ function App() {
           const minIntensity = 0.2;
           const adjustedIntensity = Math.max(minIntensity, normalizedMagnitude);
           
-          if (potential > 0) {
-            // Positive potential: blue gradient
+          if (value > 0) {
+            // Positive value: blue gradient
             // Use a smoother gradient from dark blue to bright cyan-blue
             const blueIntensity = Math.min(255, Math.round(adjustedIntensity * 255));
             const greenComponent = Math.min(200, Math.round(adjustedIntensity * 200)); // Add some green for cyan
             ctx.fillStyle = `rgba(0, ${greenComponent}, ${blueIntensity}, ${0.4 + adjustedIntensity * 0.4})`; // Opacity also scales
           } else {
-            // Negative potential: red gradient
+            // Negative value: red gradient
             // Use a smoother gradient from dark red to bright orange-red
             const redIntensity = Math.min(255, Math.round(adjustedIntensity * 255));
             const greenComponent = Math.min(100, Math.round(adjustedIntensity * 100)); // Add some green for orange
@@ -380,11 +812,14 @@ function App() {
       }
     }
     
-    // Draw particles - photons first, then electrons, then protons
+    // Particles are drawn at their physical (collision) radius, at least 2 px so they stay visible
+    const getParticlePixelRadius = (particle) => Math.max(2, (particle.radius / viewWidth) * size)
+    
+    // Draw particles - photons first, then the other species from smallest to largest
+    // (so protons stay on top of electrons)
     // In 3D mode, sort by z-coordinate (back to front) for proper depth perception
     const photons = universe.particles.filter(p => p.isPhoton)
-    const electrons = universe.particles.filter(p => p.charge < 0 && !p.isPhoton)
-    const protons = universe.particles.filter(p => p.charge > 0)
+    const massiveParticles = universe.particles.filter(p => !p.isPhoton).sort((a, b) => a.radius - b.radius)
     
     // Calculate min and max z-values for depth scaling in 3D mode
     let minZ = 0, maxZ = 1;
@@ -396,9 +831,86 @@ function App() {
     // Sort particles by depth in 3D mode (farther particles drawn first)
     if (mode3D) {
       photons.sort((a, b) => a.z - b.z);
-      electrons.sort((a, b) => a.z - b.z);
-      protons.sort((a, b) => a.z - b.z);
+      massiveParticles.sort((a, b) => a.z - b.z);
+    }
+    
+    // Draw bonds and angle terms under the particles: solid lines for harmonic bonds,
+    // dashed for FENE, a small arc at the vertex of each angle
+    const particlesById = new Map(universe.particles.map(p => [p.id, p]))
+    const toCanvas = (particle) => {
+      const [coord1, coord2] = getViewCoordinates(particle)
+      return [((coord1 - viewMinX) / viewWidth) * size, ((coord2 - viewMinY) / viewHeight) * size]
     }
+    // Bonds across a periodic boundary would cross the whole box: they are not drawn
+    const wrapsAround = (p1, p2) => universe.boundaryMode === 'periodic' &&
+      getViewCoordinates(p1).some((coord, axis) => Math.abs(coord - getViewCoordinates(p2)[axis]) > universe.size / 2)
+    
+    // Draw attractors under the particles: their path (XY view) and a ring at their current position
+    ctx.strokeStyle = '#c084fc'
+    universe.attractors.forEach((attractor, index) => {
+      if (attractor.path !== 'fixed' && attractor.pathPeriod > 0 && viewAxis === 'xy') {
+        const [x, y] = toCanvas(attractor)
+        const radius = (attractor.pathRadius / viewWidth) * size
+        const angle = attractor.pathAngle * Math.PI / 180
+        ctx.lineWidth = 1
+        ctx.setLineDash([3, 3])
+        ctx.beginPath()
+        if (attractor.path === 'circle') {
+          ctx.arc(x, y, radius, 0, Math.PI * 2)
+        } else {
+          ctx.moveTo(x - radius * Math.cos(angle), y - radius * Math.sin(angle))
+          ctx.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle))
+        }
+        ctx.stroke()
+        ctx.setLineDash([])
+      }
+      
+      const [x, y] = toCanvas(universe.attractorPositions[index])
+      ctx.lineWidth = 2
+      ctx.beginPath()
+      ctx.arc(x, y, 8, 0, Math.PI * 2)
+      ctx.moveTo(x - 4, y)
+      ctx.lineTo(x + 4, y)
+      ctx.moveTo(x, y - 4)
+      ctx.lineTo(x, y + 4)
+      ctx.stroke()
+    })
+    
+    ctx.strokeStyle = '#cbd5e1'
+    ctx.lineWidth = 1.5
+    universe.bonds.forEach((bond) => {
+      const p1 = particlesById.get(bond.a)
+      const p2 = particlesById.get(bond.b)
+      if (!p1 || !p2 || wrapsAround(p1, p2)) return
+      
+      const [x1, y1] = toCanvas(p1)
+      const [x2, y2] = toCanvas(p2)
+      ctx.setLineDash(bond.type === 'fene' ? [4, 3] : [])
+      ctx.beginPath()
+      ctx.moveTo(x1, y1)
+      ctx.lineTo(x2, y2)
+      ctx.stroke()
+    })
+    ctx.setLineDash([])
+    
+    ctx.strokeStyle = '#a78bfa'
+    universe.angles.forEach((angle) => {
+      const [p1, p2, p3] = [angle.a, angle.b, angle.c].map(id => particlesById.get(id))
+      if (!p1 || !p2 || !p3 || wrapsAround(p1, p2) || wrapsAround(p3, p2)) return
+      
+      const [x1, y1] = toCanvas(p1)
+      const [x2, y2] = toCanvas(p2)
+      const [x3, y3] = toCanvas(p3)
+      const start = Math.atan2(y1 - y2, x1 - x2)
+      const end = Math.atan2(y3 - y2, x3 - x2)
+      // Draw the arc on the side of the angle smaller than 180°
+      let sweep = end - start
+      if (sweep > Math.PI) sweep -= 2 * Math.PI
+      if (sweep < -Math.PI) sweep += 2 * Math.PI
+      ctx.beginPath()
+      ctx.arc(x2, y2, 12, start, start + sweep, sweep < 0)
+      ctx.stroke()
+    })
     
     // Draw photons first (electromagnetic particles)
     photons.forEach((particle) => {
@@ -419,8 +931,9 @@ function App() {
       const x = ((coord1 - viewMinX) / viewWidth) * size
       const y = ((coord2 - viewMinY) / viewHeight) * size
       
-      // Photon - yellow/gold with bright glow (depth-adjusted in 3D mode)
-      const photonColor = applyDepthToColor('#fbbf24', particle.z, minZ, maxZ);
+      // Photon - coloured by its wavelength λ = h·c / E, with bright glow (depth-adjusted in 3D mode)
+      const wavelengthColor = wavelengthToColor(photonWavelength(particle.energy, universe.planckConstant, universe.speedOfLight))
+      const photonColor = applyDepthToColor(wavelengthColor, particle.z, minZ, maxZ);
       const photonSize = 4 * getDepthSizeFactor(particle.z, minZ, maxZ);
       ctx.beginPath()
       ctx.arc(x, y, photonSize, 0, Math.PI * 2)
@@ -433,7 +946,7 @@ function App() {
       // Draw velocity vector for photons (showing light ray)
       const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy)
       if (speed > 0.001) {
-        const vectorColor = applyDepthToColor('#fbbf24', particle.z, minZ, maxZ) + '80'; // Add alpha
+        const vectorColor = applyDepthToColor(wavelengthColor, particle.z, minZ, maxZ) + '80'; // Add alpha
         ctx.strokeStyle = vectorColor
         ctx.lineWidth = 1
         ctx.beginPath()
@@ -455,8 +968,8 @@ function App() {
       ctx.stroke()
     })
     
-    // Draw electrons
-    electrons.forEach((particle) => {
+    // Draw electrons, protons and the other species
+    massiveParticles.forEach((particle) => {
       // Select coordinates based on view axis
       let coord1, coord2;
       if (viewAxis === 'xy') {
@@ -474,185 +987,284 @@ function App() {
       const x = ((coord1 - viewMinX) / viewWidth) * size
       const y = ((coord2 - viewMinY) / viewHeight) * size
       
-      // Electron - blue with glow (depth-adjusted in 3D mode)
-      const electronColor = applyDepthToColor('#3b82f6', particle.z, minZ, maxZ);
-      const electronSize = 6 * getDepthSizeFactor(particle.z, minZ, maxZ);
+      // Species colour with glow (depth-adjusted in 3D mode); unknown species are grey
+      const species = speciesRegistry[particle.species]
+      const baseColor = species?.color ?? '#a3a3a3'
+      const particleColor = applyDepthToColor(baseColor, particle.z, minZ, maxZ);
+      const particleSize = getParticlePixelRadius(particle) * getDepthSizeFactor(particle.z, minZ, maxZ);
       
       ctx.beginPath()
-      ctx.arc(x, y, electronSize, 0, Math.PI * 2)
-      ctx.fillStyle = electronColor
-      ctx.shadowColor = electronColor
-      ctx.shadowBlur = 10 * getDepthColorFactor(particle.z, minZ, maxZ)
+      ctx.arc(x, y, particleSize, 0, Math.PI * 2)
+      ctx.fillStyle = particleColor
+      ctx.shadowColor = particleColor
+      ctx.shadowBlur = (particleSize * 5 / 3) * getDepthColorFactor(particle.z, minZ, maxZ)
       ctx.fill()
       ctx.shadowBlur = 0
       
-      // Draw charge symbol
+      // Draw species symbol, or the charge value as a small number
+      const symbol = species?.symbol ?? particle.charge.toString()
       ctx.fillStyle = '#ffffff'
-      ctx.font = '10px monospace'
+      ctx.font = species?.symbol ? '10px monospace' : '8px monospace'
       ctx.textAlign = 'center'
       ctx.textBaseline = 'middle'
-      ctx.fillText('−', x, y)
+      ctx.fillText(symbol, x, y)
       
-      // Draw velocity vector for moving electrons
+      // Draw velocity vector for moving particles (heavy particles move slowly: longer vectors)
       const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy)
       if (speed > 0.01) {
-        const vectorColor = applyDepthToColor('#3b82f6', particle.z, minZ, maxZ) + '80'; // Add alpha
+        const vectorScale = particle.mass > 1 ? 100 : 30
+        const vectorColor = applyDepthToColor(baseColor, particle.z, minZ, maxZ) + '80'; // Add alpha
         ctx.strokeStyle = vectorColor
         ctx.lineWidth = 2
         ctx.beginPath()
         ctx.moveTo(x, y)
-        ctx.lineTo(x + particle.vx * 30, y + particle.vy * 30)
+        ctx.lineTo(x + particle.vx * vectorScale, y + particle.vy * vectorScale)
         ctx.stroke()
       }
     })
     
-    // Draw protons last (so they appear on top)
-    protons.forEach((particle) => {
-      // Select coordinates based on view axis
-      let coord1, coord2;
-      if (viewAxis === 'xy') {
-        coord1 = particle.x;
-        coord2 = particle.y;
-      } else if (viewAxis === 'xz') {
-        coord1 = particle.x;
-        coord2 = particle.z;
-      } else { // 'yz'
-        coord1 = particle.y;
-        coord2 = particle.z;
-      }
-      
-      // Transform particle position to zoomed viewport
-      const x = ((coord1 - viewMinX) / viewWidth) * size
-      const y = ((coord2 - viewMinY) / viewHeight) * size
-      
-      // Proton - red with glow (depth-adjusted in 3D mode)
-      const protonColor = applyDepthToColor('#ef4444', particle.z, minZ, maxZ);
-      const protonSize = 12 * getDepthSizeFactor(particle.z, minZ, maxZ);
+    // Ring around the particles picked so far by the bond and angle tools
+    ctx.strokeStyle = '#facc15'
+    ctx.lineWidth = 2
+    selectedParticleIds.forEach((id) => {
+      const particle = particlesById.get(id)
+      if (!particle) return
       
+      const [x, y] = toCanvas(particle)
       ctx.beginPath()
-      ctx.arc(x, y, protonSize, 0, Math.PI * 2)
-      ctx.fillStyle = protonColor
-      ctx.shadowColor = protonColor
-      ctx.shadowBlur = 20 * getDepthColorFactor(particle.z, minZ, maxZ)
-      ctx.fill()
-      ctx.shadowBlur = 0
-      
-      // Draw charge value as small number
-      ctx.fillStyle = '#ffffff'
-      ctx.font = '8px monospace'
-      ctx.textAlign = 'center'
-      ctx.textBaseline = 'middle'
-      ctx.fillText(particle.charge.toString(), x, y)
-      
-      // Draw velocity vector for moving protons
-      const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy)
-      if (speed > 0.01) {
-        const vectorColor = applyDepthToColor('#ef4444', particle.z, minZ, maxZ) + '80'; // Add alpha
-        ctx.strokeStyle = vectorColor
-        ctx.lineWidth = 2
-        ctx.beginPath()
-        ctx.moveTo(x, y)
-        ctx.lineTo(x + particle.vx * 100, y + particle.vy * 100)
-        ctx.stroke()
-      }
+      ctx.arc(x, y, getParticlePixelRadius(particle) + 4, 0, Math.PI * 2)
+      ctx.stroke()
     })
   }
   
   const handleNextStep = () => {
-    if (universeRef.current) {
-      universeRef.current.step()
-      drawUniverse()
+    if (simulationRef.current) {
+      simulationRef.current.step(1)
     }
   }
   
   const handleRunSteps = () => {
-    if (universeRef.current) {
-      universeRef.current.runSteps(numSteps)
-      drawUniverse()
+    if (simulationRef.current) {
+      simulationRef.current.step(numSteps)
     }
   }
   
   const handlePlayPause = () => {
+    setSimulationError(null)
     setIsPlaying(!isPlaying)
   }
   
   const handleReset = () => {
     setIsPlaying(false)
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current)
-    }
     
     // Reinitialize universe
-    const universe = new Universe(1.0, electrostaticCoefficient * 1e-6)
-    
-    // Apply current settings
-    universe.setStaticProtons(staticProtons)
-    universe.setStrongForceEnabled(strongForceEnabled)
-    universe.setStrongForceCoefficient(strongForceCoefficient)
-    universe.setGravityEnabled(gravityEnabled)
-    universe.setGravityCoefficient(gravityCoefficient)
-    universe.setGroundGravityEnabled(groundGravityEnabled)
-    universe.setGroundGravityCoefficient(groundGravityCoefficient)
-    universe.setMode3D(mode3D)
-    
-    // Add protons at random positions (mass 100)
-    for (let i = 0; i < protonCount; i++) {
-      const px = 0.2 + Math.random() * 0.6
-      const py = 0.2 + Math.random() * 0.6
-      const pz = mode3D ? (0.2 + Math.random() * 0.6) : 0.5
-      universe.addParticle(new Particle(px, py, 0, 0, 1, 100, false, pz, 0))
-    }
-    
-    // Add free electrons randomly
-    for (let i = 0; i < electronCount; i++) {
-      const angle = (Math.PI * 2 * i) / electronCount
-      const radius = 0.2 + Math.random() * 0.2
-      const x = 0.5 + radius * Math.cos(angle)
-      const y = 0.5 + radius * Math.sin(angle)
-      
-      let vx = 0
-      let vy = 0
-      
-      universe.addParticle(new Particle(x, y, vx, vy, -1, 1, false))
-    }
-    
-    universeRef.current = universe
-    drawUniverse()
+    startScene(true)
   }
   
   const handleDrawMode = () => {
     // Enter draw mode - stop animation but keep particles
     setIsPlaying(false)
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current)
-    }
     setDrawMode(true)
   }
   
   const handleClearAll = () => {
     // Clear all particles and stop animation
     setIsPlaying(false)
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current)
-    }
     
     // Create empty universe with current settings
-    const universe = new Universe(1.0, electrostaticCoefficient * 1e-6)
-    universe.setStaticProtons(staticProtons)
-    universe.setStrongForceEnabled(strongForceEnabled)
-    universe.setStrongForceCoefficient(strongForceCoefficient)
-    universe.setGravityEnabled(gravityEnabled)
-    universe.setGravityCoefficient(gravityCoefficient)
-    universe.setGroundGravityEnabled(groundGravityEnabled)
-    universe.setGroundGravityCoefficient(groundGravityCoefficient)
-    universe.setMode3D(mode3D)
+    startScene(false)
+  }
+  
+  // Download the current scene (seed, generator state, parameters, particles) as JSON
+  const handleSaveScene = () => {
+    const current = snapshotRef.current
+    if (!current) return
     
-    universeRef.current = universe
-    drawUniverse()
+    const scene = {
+      version: SCENE_VERSION,
+      seed: current.seed,
+      randomState: current.randomState,
+      parameters: getParameters(),
+      particles: current.particles,
+      bonds: current.bonds,
+      angles: current.angles,
+    }
+    const blob = new Blob([JSON.stringify(scene, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `universe-seed-${current.seed}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+  
+  const handleLoadScene = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    
+    let scene
+    try {
+      scene = JSON.parse(await file.text())
+    } catch (error) {
+      console.error('Invalid scene file:', error)
+      return
+    }
+    
+    const error = validateScene(scene, getParameters())
+    if (error) {
+      console.error('Invalid scene file:', error)
+      return
+    }
+    
+    setIsPlaying(false)
+    for (const [name, value] of Object.entries(scene.parameters)) {
+      parameterSetters[name]?.(value)
+    }
+    setSeed(scene.seed)
+    randomRef.current = new Random(scene.seed)
+    
+    // Switching 3D mode restarts the universe: start the loaded scene after the switch
+    if (scene.parameters.mode3D !== mode3D) {
+      pendingSceneRef.current = scene
+    } else {
+      startLoadedScene(scene)
+    }
+  }
+  
+  // Start a celestial mechanics scene (see presets.js) with the preset's parameters on top of the current ones
+  const handleLoadPreset = () => {
+    const preset = CELESTIAL_PRESETS.find(p => p.id === selectedPreset)
+    setIsPlaying(false)
+    for (const [name, value] of Object.entries(preset.parameters)) {
+      parameterSetters[name]?.(value)
+    }
+    
+    const random = new Random(seed)
+    randomRef.current = random
+    simulationRef.current.init({ ...getParameters(), ...preset.parameters, seed }, preset.createParticles(random, mode3D))
   }
   
   const handleExitDrawMode = () => {
     setDrawMode(false)
+    setSelectedParticleIds([])
+  }
+  
+  const handleDrawToolChange = (tool) => {
+    setDrawTool(tool)
+    setSelectedParticleIds([])
+  }
+  
+  // Position of a particle on the canvas axes of the current view
+  const getViewCoordinates = (particle) => {
+    if (viewAxis === 'xy') return [particle.x, particle.y]
+    if (viewAxis === 'xz') return [particle.x, particle.z]
+    return [particle.y, particle.z]
+  }
+  
+  // Nearest non-photon particle within a few pixels of a click (view coordinates), or null
+  const pickParticle = (viewX, viewY) => {
+    const universe = snapshotRef.current
+    if (!universe) return null
+    
+    const pickRadius = 10 / canvasRef.current.width / zoomLevel
+    let picked = null
+    let pickedDistance = Infinity
+    for (const particle of universe.particles) {
+      if (particle.isPhoton) continue
+      const [coord1, coord2] = getViewCoordinates(particle)
+      const distance = Math.hypot(coord1 - viewX, coord2 - viewY)
+      if (distance < Math.max(pickRadius, particle.radius) && distance < pickedDistance) {
+        picked = particle
+        pickedDistance = distance
+      }
+    }
+    return picked
+  }
+  
+  // Bond and angle tools: collect 2 (bond) or 3 (angle, vertex second) particles, then connect them
+  // at their current distance / angle
+  const handleConnectClick = (viewX, viewY) => {
+    const particle = pickParticle(viewX, viewY)
+    if (!particle || selectedParticleIds.includes(particle.id)) return
+    
+    const ids = [...selectedParticleIds, particle.id]
+    if (drawTool === 'bond' && ids.length === 2) {
+      simulationRef.current.addBond({ type: bondType, a: ids[0], b: ids[1], stiffness: bondStiffness })
+      setSelectedParticleIds([])
+    } else if (drawTool === 'angle' && ids.length === 3) {
+      simulationRef.current.addAngle({ a: ids[0], b: ids[1], c: ids[2], stiffness: angleStiffness })
+      setSelectedParticleIds([])
+    } else {
+      setSelectedParticleIds(ids)
+    }
+  }
+  
+  // Position of a mouse event in view coordinates (see getViewCoordinates), accounting for the zoom
+  const getEventViewCoordinates = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    const viewWidth = 1 / zoomLevel
+    const viewHeight = 1 / zoomLevel
+    return [
+      zoomCenterX - viewWidth / 2 + ((event.clientX - rect.left) / rect.width) * viewWidth,
+      zoomCenterY - viewHeight / 2 + ((event.clientY - rect.top) / rect.height) * viewHeight,
+    ]
+  }
+  
+  // Position with its canvas axes of the current view set to view coordinates
+  const setViewCoordinates = (position, coord1, coord2) => {
+    if (viewAxis === 'xy') return { ...position, x: coord1, y: coord2 }
+    if (viewAxis === 'xz') return { ...position, x: coord1, z: coord2 }
+    return { ...position, y: coord1, z: coord2 }
+  }
+  
+  // Index of the attractor drawn within a few pixels of a point (view coordinates), or null
+  const pickAttractor = (viewX, viewY) => {
+    const universe = snapshotRef.current
+    if (!universe) return null
+    
+    const pickRadius = 10 / canvasRef.current.width / zoomLevel
+    let picked = null
+    let pickedDistance = Infinity
+    universe.attractorPositions.forEach((position, index) => {
+      const [coord1, coord2] = getViewCoordinates(position)
+      const distance = Math.hypot(coord1 - viewX, coord2 - viewY)
+      if (distance < pickRadius && distance < pickedDistance) {
+        picked = index
+        pickedDistance = distance
+      }
+    })
+    return picked
+  }
+  
+  // Attractor tool: press on an attractor to drag it, anywhere else to place a new one there
+  const handleCanvasMouseDown = (event) => {
+    if (!drawMode || drawTool !== 'attractor') return
+    
+    const [viewX, viewY] = getEventViewCoordinates(event)
+    const index = pickAttractor(viewX, viewY)
+    if (index === null) {
+      draggedAttractorRef.current = { index: attractors.length, offset: [0, 0] }
+      setAttractors(list => [...list, setViewCoordinates(createAttractor(0.5, 0.5, 0.5), viewX, viewY)])
+      return
+    }
+    
+    // Moving attractors are picked at their current position but dragged by their path center
+    const [anchor1, anchor2] = getViewCoordinates(attractors[index])
+    draggedAttractorRef.current = { index, offset: [anchor1 - viewX, anchor2 - viewY] }
+  }
+  
+  const handleCanvasMouseMove = (event) => {
+    const dragged = draggedAttractorRef.current
+    if (!dragged) return
+    
+    const [viewX, viewY] = getEventViewCoordinates(event)
+    const clamp = (coord) => Math.min(Math.max(coord, 0), 1)
+    updateAttractor(dragged.index, setViewCoordinates({}, clamp(viewX + dragged.offset[0]), clamp(viewY + dragged.offset[1])))
+  }
+  
+  const handleCanvasMouseUp = () => {
+    draggedAttractorRef.current = null
   }
   
   const handleCanvasClick = (event) => {
@@ -661,7 +1273,7 @@ function App() {
     const clickX = (event.clientX - rect.left) / rect.width
     const clickY = (event.clientY - rect.top) / rect.height
     
-    if (drawMode && universeRef.current) {
+    if (drawMode && simulationRef.current) {
       // Draw mode: Add particle at clicked position with no velocity
       // Account for zoom transformation if zoom is active
       let universeX = clickX;
@@ -677,16 +1289,22 @@ function App() {
         universeY = viewMinY + clickY * viewHeight;
       }
       
-      // In 3D mode, randomize Z around 0.5 (range: 0.49 to 0.51)
-      const z = 0.5 + (Math.random() - 0.5) * 2 * 1e-2;
+      // Attractors are placed and dragged with the mouse button (see handleCanvasMouseDown)
+      if (drawTool === 'attractor') return
       
-      if (selectedParticleType === 'proton') {
-        // Use charge multiplier for proton charge
-        universeRef.current.addParticle(new Particle(universeX, universeY, 0, 0, chargeMultiplier, 100, false, z, 0))
-      } else {
-        universeRef.current.addParticle(new Particle(universeX, universeY, 0, 0, -1, 1, false, z, 0))
+      if (drawTool !== 'particle') {
+        handleConnectClick(universeX, universeY)
+        return
       }
-      drawUniverse()
+      
+      // In 3D mode, randomize Z around 0.5 (range: 0.49 to 0.51)
+      const z = 0.5 + (randomRef.current.next() - 0.5) * 2 * 1e-2;
+      
+      // Charged species can carry several times their charge (e.g. a nucleus with N protons)
+      const species = speciesRegistry[selectedSpecies]
+      simulationRef.current.addParticle(
+        Particle.fromSpecies(species, universeX, universeY, { z, charge: species.charge * chargeMultiplier })
+      )
     } else if (zoomMode) {
       // Zoom mode: Convert click position to universe coordinates and zoom in
       const viewWidth = 1 / zoomLevel
@@ -723,7 +1341,7 @@ function App() {
   }
   
   const handleDeleteOutsideZoom = () => {
-    if (!universeRef.current || zoomLevel <= 1) return
+    if (!simulationRef.current || zoomLevel <= 1) return
     
     // Calculate visible region bounds
     const viewWidth = 1 / zoomLevel
@@ -733,51 +1351,51 @@ function App() {
     const minY = zoomCenterY - viewHeight / 2
     const maxY = zoomCenterY + viewHeight / 2
     
-    // Filter particles to keep only those inside the zoom region
-    universeRef.current.particles = universeRef.current.particles.filter(particle => {
-      return particle.x >= minX && particle.x <= maxX &&
-             particle.y >= minY && particle.y <= maxY
-    })
-    
-    drawUniverse()
+    // Keep only the particles inside the zoom region
+    simulationRef.current.removeParticlesOutside({ minX, maxX, minY, maxY })
   }
   
-  // Animation loop
+  // Animation loop: the worker steps the universe and posts a snapshot every frame
   useEffect(() => {
+    if (!simulationRef.current) return
     if (isPlaying) {
-      const animate = () => {
-        if (universeRef.current) {
-          // Run 100 steps per frame for smoother animation
-          for (let i = 0; i < 100; i++) {
-            universeRef.current.step()
-          }
-          drawUniverse()
-        }
-        animationRef.current = requestAnimationFrame(animate)
-      }
-      animationRef.current = requestAnimationFrame(animate)
+      simulationRef.current.play()
     } else {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current)
-      }
-    }
-    
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current)
-      }
+      simulationRef.current.pause()
     }
   }, [isPlaying])
   
+  // Redraw when a new snapshot arrives
+  useEffect(() => {
+    drawUniverse()
+  }, [snapshot])
+  
   // Redraw when zoom changes
   useEffect(() => {
     drawUniverse()
   }, [zoomLevel, zoomCenterX, zoomCenterY])
 
-  // Redraw when magnetic field display setting changes
+  // Redraw when field display setting changes or the bond and angle tools pick particles
   useEffect(() => {
     drawUniverse()
-  }, [displayMagneticField])
+  }, [fieldDisplay, selectedParticleIds])
+
+  // Emission and absorption spectra, one bar per wavelength bin (see spectrum.js)
+  const spectrumData = snapshot ? snapshot.photonSpectrum.emitted.map((emitted, bin) => ({
+    wavelength: Math.round(spectrumBinWavelength(bin)),
+    emitted,
+    absorbed: snapshot.photonSpectrum.absorbed[bin],
+  })) : []
+  const emittedPhotonCount = spectrumData.reduce((sum, bin) => sum + bin.emitted, 0)
+  const absorbedPhotonCount = spectrumData.reduce((sum, bin) => sum + bin.absorbed, 0)
+  
+  // Energy drift relative to the first sample since the last reset (energy lost to drag counts as accounted for)
+  const conservationHistory = snapshot?.conservationHistory ?? []
+  const referenceSample = snapshot?.conservationReference
+  const latestSample = conservationHistory[conservationHistory.length - 1]
+  const energyDrift = referenceSample && referenceSample.total !== 0
+    ? ((latestSample.total + latestSample.dragLoss) - (referenceSample.total + referenceSample.dragLoss)) / Math.abs(referenceSample.total)
+    : 0
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-8">
@@ -806,6 +1424,10 @@ function App() {
                   height={600}
                   className="w-full border-2 border-slate-700 rounded-lg shadow-2xl"
                   onClick={handleCanvasClick}
+                  onMouseDown={handleCanvasMouseDown}
+                  onMouseMove={handleCanvasMouseMove}
+                  onMouseUp={handleCanvasMouseUp}
+                  onMouseLeave={handleCanvasMouseUp}
                   style={{ cursor: drawMode ? 'crosshair' : zoomMode ? 'zoom-in' : 'default' }}
                 />
                 
@@ -873,6 +1495,51 @@ function App() {
                     Clear All
                   </Button>
                 </div>
+                {simulationError && (
+                  <p className="text-xs text-red-400">
+                    Simulation error: {simulationError}
+                  </p>
+                )}
+                
+                <div className="flex gap-2">
+                  <Button onClick={handleSaveScene} variant="outline" className="flex-1">
+                    Save Scene
+                  </Button>
+                  <Button onClick={() => sceneFileInputRef.current.click()} variant="outline" className="flex-1">
+                    Load Scene
+                  </Button>
+                  <input
+                    ref={sceneFileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleLoadScene}
+                    className="hidden"
+                  />
+                </div>
+                
+                <div className="space-y-2">
+                  <Label htmlFor="celestialPreset" className="text-white">
+                    Celestial Mechanics Preset
+                  </Label>
+                  <div className="flex gap-2">
+                    <select
+                      id="celestialPreset"
+                      value={selectedPreset}
+                      onChange={(e) => setSelectedPreset(e.target.value)}
+                      className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                    >
+                      {CELESTIAL_PRESETS.map(preset => (
+                        <option key={preset.id} value={preset.id}>{preset.label}</option>
+                      ))}
+                    </select>
+                    <Button onClick={handleLoadPreset} variant="outline">
+                      Load
+                    </Button>
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    {CELESTIAL_PRESETS.find(preset => preset.id === selectedPreset).description} (mutual gravity on; central gravity, ground gravity, attractors, collisions, drag and the thermostat off)
+                  </p>
+                </div>
                 
                 <Button 
                   onClick={drawMode ? handleExitDrawMode : handleDrawMode}
@@ -924,44 +1591,128 @@ function App() {
                   <Card className="bg-slate-800/50 border-slate-700">
                     <CardContent className="pt-4 space-y-3">
                       <p className="text-white text-sm font-semibold">Draw Mode Active</p>
-                      <p className="text-slate-400 text-xs">Click on the canvas to place particles</p>
-                      <div className="flex gap-2">
-                        <Button
-                          onClick={() => setSelectedParticleType('proton')}
-                          variant={selectedParticleType === 'proton' ? 'default' : 'outline'}
-                          className="flex-1"
+                      <div className="space-y-1">
+                        <Label htmlFor="drawTool" className="text-white text-sm">
+                          Tool
+                        </Label>
+                        <select
+                          id="drawTool"
+                          value={drawTool}
+                          onChange={(e) => handleDrawToolChange(e.target.value)}
+                          className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
                         >
-                          Proton (+)
-                        </Button>
-                        <Button
-                          onClick={() => setSelectedParticleType('electron')}
-                          variant={selectedParticleType === 'electron' ? 'default' : 'outline'}
-                          className="flex-1"
-                        >
-                          Electron (-)
-                        </Button>
+                          <option value="particle">Place particles</option>
+                          <option value="bond">Connect two particles (bond)</option>
+                          <option value="angle">Connect three particles (angle)</option>
+                          <option value="attractor">Place and drag attractors</option>
+                        </select>
                       </div>
                       
-                      {selectedParticleType === 'proton' && (
-                        <div className="space-y-2 pt-2 border-t border-slate-700">
-                          <Label htmlFor="chargeMultiplier" className="text-white text-sm">
-                            Charge Multiplier (N)
+                      {drawTool === 'attractor' && (
+                        <p className="text-slate-400 text-xs">
+                          Click to place an attractor, drag an attractor to move it (edit it under Parameters → Attractors)
+                        </p>
+                      )}
+                      
+                      {drawTool === 'bond' && (
+                        <div className="space-y-2">
+                          <p className="text-slate-400 text-xs">
+                            Click two particles to bond them at their current distance ({selectedParticleIds.length}/2 picked)
+                          </p>
+                          <select
+                            id="bondType"
+                            value={bondType}
+                            onChange={(e) => setBondType(e.target.value)}
+                            className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                          >
+                            {BOND_TYPES.map(type => (
+                              <option key={type.id} value={type.id}>{type.label}</option>
+                            ))}
+                          </select>
+                          <Label htmlFor="bondStiffness" className="text-white text-sm">
+                            Stiffness (k)
                           </Label>
                           <Input
-                            id="chargeMultiplier"
+                            id="bondStiffness"
                             type="number"
-                            min="1"
-                            max="100"
-                            step="1"
-                            value={chargeMultiplier}
-                            onChange={(e) => setChargeMultiplier(parseInt(e.target.value) || 1)}
+                            min="0"
+                            step="0.001"
+                            value={bondStiffness}
+                            onChange={(e) => setBondStiffness(parseFloat(e.target.value) || 0)}
                             className="bg-slate-800 border-slate-700 text-white"
                           />
                           <p className="text-xs text-slate-400">
-                            Proton will have {chargeMultiplier}× normal charge (+{chargeMultiplier}e)
+                            {bondType === 'fene'
+                              ? 'FENE bonds pull the particles together and can stretch up to 1.5× their initial length'
+                              : 'Harmonic springs keep the particles near their initial distance'}
                           </p>
                         </div>
                       )}
+                      
+                      {drawTool === 'angle' && (
+                        <div className="space-y-2">
+                          <p className="text-slate-400 text-xs">
+                            Click three particles, the vertex second, to hold their current angle ({selectedParticleIds.length}/3 picked)
+                          </p>
+                          <Label htmlFor="angleStiffness" className="text-white text-sm">
+                            Bending Stiffness (k)
+                          </Label>
+                          <Input
+                            id="angleStiffness"
+                            type="number"
+                            min="0"
+                            step="0.0001"
+                            value={angleStiffness}
+                            onChange={(e) => setAngleStiffness(parseFloat(e.target.value) || 0)}
+                            className="bg-slate-800 border-slate-700 text-white"
+                          />
+                        </div>
+                      )}
+                      
+                      {drawTool === 'particle' && (
+                        <>
+                          <p className="text-slate-400 text-xs">Click on the canvas to place particles</p>
+                          <div className="space-y-1">
+                            <Label htmlFor="selectedSpecies" className="text-white text-sm">
+                              Species
+                            </Label>
+                            <select
+                              id="selectedSpecies"
+                              value={selectedSpecies}
+                              onChange={(e) => setSelectedSpecies(e.target.value)}
+                              className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                            >
+                              {Object.values(speciesRegistry).filter(species => !species.isPhoton).map(species => (
+                                <option key={species.id} value={species.id}>
+                                  {species.name} ({species.charge > 0 ? '+' : ''}{species.charge})
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                      
+                          {speciesRegistry[selectedSpecies].charge !== 0 && (
+                            <div className="space-y-2 pt-2 border-t border-slate-700">
+                              <Label htmlFor="chargeMultiplier" className="text-white text-sm">
+                                Charge Multiplier (N)
+                              </Label>
+                              <Input
+                                id="chargeMultiplier"
+                                type="number"
+                                min="1"
+                                max="100"
+                                step="1"
+                                value={chargeMultiplier}
+                                onChange={(e) => setChargeMultiplier(parseInt(e.target.value) || 1)}
+                                className="bg-slate-800 border-slate-700 text-white"
+                              />
+                              <p className="text-xs text-slate-400">
+                                {speciesRegistry[selectedSpecies].name} will have {chargeMultiplier}× normal charge
+                                ({speciesRegistry[selectedSpecies].charge > 0 ? '+' : ''}{speciesRegistry[selectedSpecies].charge * chargeMultiplier}e)
+                              </p>
+                            </div>
+                          )}
+                        </>
+                      )}
                     </CardContent>
                   </Card>
                 )}
@@ -1005,80 +1756,713 @@ function App() {
                 <CardTitle className="text-white">Parameters</CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
+                {FORCE_PLUGINS.map(force => (
+                  <div key={force.id} className="space-y-2">
+                    {force.parameters.map(parameter => parameter.type === 'vector' ? (
+                      <div key={parameter.name} className="space-y-1">
+                        <Label className="text-white">
+                          {parameter.label}
+                        </Label>
+                        <div className="grid grid-cols-3 gap-2">
+                          {(mode3D ? ['x', 'y', 'z'] : ['x', 'y']).map(axis => (
+                            <Input
+                              key={axis}
+                              aria-label={`${parameter.label} ${axis}`}
+                              type="number"
+                              step={parameter.step}
+                              value={forceParameterValues[parameter.name][axis]}
+                              onChange={(e) => setForceParameterValues(values => ({
+                                ...values,
+                                [parameter.name]: { ...values[parameter.name], [axis]: parseFloat(e.target.value) || 0 },
+                              }))}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    ) : parameter.type === 'boolean' ? (
+                      <div key={parameter.name} className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          id={parameter.name}
+                          checked={forceParameterValues[parameter.name]}
+                          onChange={(e) => setForceParameterValues(values => ({ ...values, [parameter.name]: e.target.checked }))}
+                          className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
+                        />
+                        <Label htmlFor={parameter.name} className="text-white text-sm cursor-pointer">
+                          {parameter.label}
+                        </Label>
+                      </div>
+                    ) : (
+                      <div key={parameter.name} className="space-y-2">
+                        <Label htmlFor={parameter.name} className="text-white">
+                          {parameter.label}
+                        </Label>
+                        <Input
+                          id={parameter.name}
+                          type="number"
+                          step={parameter.step}
+                          min={parameter.min}
+                          value={forceParameterValues[parameter.name]}
+                          onChange={(e) => {
+                            const value = parseFloat(e.target.value)
+                            const clamped = Number.isNaN(value) ? parameter.default : Math.max(parameter.min ?? -Infinity, value)
+                            setForceParameterValues(values => ({ ...values, [parameter.name]: clamped }))
+                          }}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    ))}
+                    <p className="text-xs text-slate-400">
+                      {force.describe(forceParameterValues)}
+                    </p>
+                  </div>
+                ))}
+                
                 <div className="space-y-2">
-                  <Label htmlFor="force" className="text-white">
-                    Electrostatic Force Coefficient (K_electro)
+                  <Label htmlFor="shortRangeCutoff" className="text-white">
+                    Short-Range Cutoff Radius
                   </Label>
                   <Input
-                    id="force"
+                    id="shortRangeCutoff"
                     type="number"
-                    step="0.1"
-                    value={electrostaticCoefficient}
-                    onChange={(e) => setElectrostaticCoefficient(parseFloat(e.target.value) || 1)}
+                    step="0.01"
+                    min="0.001"
+                    value={shortRangeCutoff}
+                    onChange={(e) => setShortRangeCutoff(parseFloat(e.target.value) || 0.1)}
                     className="bg-slate-800 border-slate-700 text-white"
                   />
                   <p className="text-xs text-slate-400">
-                    Actual force: {electrostaticCoefficient}e-6 / distance²
+                    Strong force and pair potentials only act between particles closer than {shortRangeCutoff} U (cell-list neighbour search)
                   </p>
                 </div>
                 
-                
-                
                 <div className="space-y-2">
-                  <Label htmlFor="strongForce" className="text-white">
-                    Strong Force Coefficient (K_strong)
+                  <Label className="text-white">
+                    Pair Potentials
                   </Label>
-                  <Input
-                    id="strongForce"
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    value={strongForceCoefficient}
-                    onChange={(e) => setStrongForceCoefficient(parseFloat(e.target.value) || 1)}
-                    className="bg-slate-800 border-slate-700 text-white"
-                  />
+                  {pairPotentials.map((potential, index) => (
+                    <div key={index} className="space-y-2 rounded-md border border-slate-700 p-2">
+                      <div className="flex items-center gap-2">
+                        <select
+                          aria-label="Potential type"
+                          value={potential.type}
+                          onChange={(e) => updatePairPotential(index, { type: e.target.value })}
+                          className="flex-1 h-8 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                        >
+                          {PAIR_POTENTIALS.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setPairPotentials(potentials => potentials.filter((_, i) => i !== index))}
+                        >
+                          Remove
+                        </Button>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        {['speciesA', 'speciesB'].map(key => (
+                          <select
+                            key={key}
+                            aria-label={key === 'speciesA' ? 'First species' : 'Second species'}
+                            value={potential[key]}
+                            onChange={(e) => updatePairPotential(index, { [key]: e.target.value })}
+                            className="w-full h-9 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                          >
+                            {Object.values(speciesRegistry).filter(species => !species.isPhoton).map(species => (
+                              <option key={species.id} value={species.id}>{species.name}</option>
+                            ))}
+                          </select>
+                        ))}
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        {(potential.type === 'morse'
+                          ? [['depth', 'D', '1'], ['alpha', 'a', '5'], ['equilibrium', 'r₀', '0.005']]
+                          : [['epsilon', 'ε', '1'], ['sigma', 'σ', '0.005']]
+                        ).map(([key, label, step]) => (
+                          <div key={key} className="space-y-1">
+                            <Label htmlFor={`pairPotential-${index}-${key}`} className="text-white text-xs">
+                              {label}
+                            </Label>
+                            <Input
+                              id={`pairPotential-${index}-${key}`}
+                              type="number"
+                              step={step}
+                              min="0"
+                              value={potential[key]}
+                              onChange={(e) => updatePairPotential(index, { [key]: parseFloat(e.target.value) || 0 })}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setPairPotentials(potentials => [...potentials, createPairPotential('lennardJones')])}
+                  >
+                    Add Potential
+                  </Button>
                   <p className="text-xs text-slate-400">
-                    Repulsion: {strongForceCoefficient}e-10 / distance⁴
+                    Lennard-Jones 4ε[(σ/r)¹² − (σ/r)⁶] or Morse D[(1 − e^(−a(r − r₀)))² − 1] between two species, ε and D in units of 1e-6
                   </p>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setPotentialGradientCheck(checkPotentialGradients())}
+                  >
+                    Check F = −dU/dr
+                  </Button>
+                  {potentialGradientCheck && (
+                    <div className="text-xs text-slate-400">
+                      {potentialGradientCheck.map(({ name, maxError }) => (
+                        <p key={name}>{name}: {maxError.toExponential(1)} relative error</p>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 
                 
                 <div className="space-y-2">
-                  <Label htmlFor="gravity" className="text-white">
-                    Gravity Coefficient (K_gravity)
+                  <Label htmlFor="integrator" className="text-white">
+                    Integrator
                   </Label>
-                  <Input
-                    id="gravity"
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    value={gravityCoefficient}
-                    onChange={(e) => setGravityCoefficient(parseFloat(e.target.value) || 0)}
-                    className="bg-slate-800 border-slate-700 text-white"
-                  />
+                  <select
+                    id="integrator"
+                    value={integrator}
+                    onChange={(e) => setIntegrator(e.target.value)}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                  >
+                    {INTEGRATORS.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
                   <p className="text-xs text-slate-400">
-                    Attraction to center: mass × {gravityCoefficient}e-4 (toward 0.5, 0.5, 0.5)
+                    Time integration scheme used by each step (compare energy conservation on the same scene); Velocity Verlet and Runge-Kutta 4 cost two and four force evaluations per step, the others one
                   </p>
                 </div>
-                
+
                 <div className="space-y-2">
-                  <Label htmlFor="groundGravity" className="text-white">
-                    Ground Gravity Coefficient (K_ground_gravity)
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="relativistic"
+                      checked={relativistic}
+                      onChange={(e) => setRelativistic(e.target.checked)}
+                      className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
+                    />
+                    <Label htmlFor="relativistic" className="text-white text-sm cursor-pointer">
+                      Relativistic Dynamics
+                    </Label>
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="speedOfLight" className="text-white text-xs">
+                      Speed of Light (c)
+                    </Label>
+                    <Input
+                      id="speedOfLight"
+                      type="number"
+                      step="0.001"
+                      min="0.0001"
+                      value={speedOfLight}
+                      onChange={(e) => setSpeedOfLight(parseFloat(e.target.value) || 0.01)}
+                      className="bg-slate-800 border-slate-700 text-white"
+                    />
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    Photons move at exactly {speedOfLight} U/s
+                    {relativistic ? '; forces change the momentum γmv, so massive particles never reach c' : '; massive particles follow Newtonian mechanics'}
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="thermostat" className="text-white">
+                    Thermostat
                   </Label>
-                  <Input
-                    id="groundGravity"
-                    type="number"
-                    step="0.1"
-                    min="0"
-                    value={groundGravityCoefficient}
-                    onChange={(e) => setGroundGravityCoefficient(parseFloat(e.target.value) || 0)}
-                    className="bg-slate-800 border-slate-700 text-white"
-                  />
+                  <select
+                    id="thermostat"
+                    value={thermostat}
+                    onChange={(e) => setThermostat(e.target.value)}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                  >
+                    {THERMOSTATS.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  {thermostat !== 'none' && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="space-y-1">
+                        <Label htmlFor="targetTemperature" className="text-white text-xs">
+                          Target T₀ (×1e-6)
+                        </Label>
+                        <Input
+                          id="targetTemperature"
+                          type="number"
+                          step="0.05"
+                          min="0"
+                          value={targetTemperature}
+                          onChange={(e) => setTargetTemperature(parseFloat(e.target.value) || 0)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label htmlFor="thermostatTimeConstant" className="text-white text-xs">
+                          Time constant τ (s)
+                        </Label>
+                        <Input
+                          id="thermostatTimeConstant"
+                          type="number"
+                          step="0.1"
+                          min="0.01"
+                          value={thermostatTimeConstant}
+                          onChange={(e) => setThermostatTimeConstant(parseFloat(e.target.value) || 1)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-400">
+                    {thermostat === 'none'
+                      ? `Isolated system: the total energy is conserved${collisionsEnabled ? ', except for the overlap correction of hard-sphere collisions' : ''}`
+                      : `Relaxes the temperature T = 2·KE / (d·N) of the mobile particles to ${targetTemperature}e-6 within about ${thermostatTimeConstant} s`}
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="boundaryMode" className="text-white">
+                    Boundary Conditions
+                  </Label>
+                  <select
+                    id="boundaryMode"
+                    value={boundaryMode}
+                    onChange={(e) => setBoundaryMode(e.target.value)}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                  >
+                    {BOUNDARY_MODES.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-400">
+                    {boundaryMode === 'periodic'
+                      ? 'Particles leaving one side re-enter on the opposite side; forces act through the nearest image'
+                      : 'Photons reflect off the walls, electrons and protons follow the wall modes below'}
+                  </p>
+                </div>
+
+                {boundaryMode === 'walls' && (
+                  <div className="space-y-2">
+                    <Label className="text-white">
+                      Wall Modes (electrons & protons)
+                    </Label>
+                    {WALLS.filter(({ id }) => mode3D || !id.startsWith('z')).map(({ id, label }) => (
+                      <div key={id} className="flex items-center justify-between gap-2">
+                        <Label htmlFor={`wall-${id}`} className="text-white text-xs">
+                          {label}
+                        </Label>
+                        <select
+                          id={`wall-${id}`}
+                          value={wallModes[id]}
+                          onChange={(e) => setWallModes(modes => ({ ...modes, [id]: e.target.value }))}
+                          className="w-44 h-8 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                        >
+                          {WALL_MODES.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                    {Object.values(wallModes).includes('restitution') && (
+                      <div className="space-y-1">
+                        <Label htmlFor="wallRestitution" className="text-white text-xs">
+                          Restitution Coefficient (e)
+                        </Label>
+                        <Input
+                          id="wallRestitution"
+                          type="number"
+                          step="0.05"
+                          min="0"
+                          max="1"
+                          value={wallRestitution}
+                          onChange={(e) => setWallRestitution(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    )}
+                    <p className="text-xs text-slate-400">
+                      Sticky stops the particle (loses its kinetic energy), elastic conserves it, restitution keeps e × the normal velocity, absorbing removes the particle
+                    </p>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <Label htmlFor="forceSolver" className="text-white">
+                    Electrostatic Solver
+                  </Label>
+                  <select
+                    id="forceSolver"
+                    value={forceSolver}
+                    onChange={(e) => setForceSolver(e.target.value)}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                  >
+                    {FORCE_SOLVERS.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  {forceSolver === 'barnesHut' && (
+                    <div className="space-y-1">
+                      <Label htmlFor="barnesHutTheta" className="text-white text-xs">
+                        Opening Angle (θ)
+                      </Label>
+                      <Input
+                        id="barnesHutTheta"
+                        type="number"
+                        step="0.05"
+                        min="0"
+                        value={barnesHutTheta}
+                        onChange={(e) => setBarnesHutTheta(parseFloat(e.target.value) || 0)}
+                        className="bg-slate-800 border-slate-700 text-white"
+                      />
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => simulationRef.current?.checkBarnesHutAccuracy()}
+                      >
+                        Check Against Exact Sum
+                      </Button>
+                      {snapshot?.barnesHutCheck && (
+                        <p className="text-xs text-slate-400">
+                          RMS force error at θ = {snapshot.barnesHutCheck.theta} on {snapshot.barnesHutCheck.particleCount} particles:
+                          {' '}walls {(snapshot.barnesHutCheck.walls * 100).toFixed(2)}%,
+                          periodic {(snapshot.barnesHutCheck.periodic * 100).toFixed(2)}%
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-400">
+                    {forceSolver === 'barnesHut'
+                      ? `${mode3D ? 'Octree' : 'Quadtree'} approximation: θ = 0 is exact, larger θ is faster. Mutual gravity stays an exact O(n²) sum`
+                      : 'Exact pairwise sum, use it to validate the Barnes-Hut results'}
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label className="text-white">
+                    Attractors
+                  </Label>
+                  {attractors.map((attractor, index) => (
+                    <div key={index} className="space-y-2 rounded-md border border-slate-700 p-2">
+                      <div className="flex items-center gap-2">
+                        <select
+                          aria-label="Falloff law"
+                          value={attractor.falloff}
+                          onChange={(e) => updateAttractor(index, { falloff: e.target.value })}
+                          className="flex-1 h-8 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                        >
+                          {ATTRACTOR_FALLOFFS.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setAttractors(list => list.filter((_, i) => i !== index))}
+                        >
+                          Remove
+                        </Button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        {[...(mode3D ? ['x', 'y', 'z'] : ['x', 'y']), 'strength', 'softening'].map(key => (
+                          <div key={key} className="space-y-1">
+                            <Label htmlFor={`attractor-${index}-${key}`} className="text-white text-xs">
+                              {key === 'softening' ? 'ε' : key}
+                            </Label>
+                            <Input
+                              id={`attractor-${index}-${key}`}
+                              type="number"
+                              step={key === 'strength' ? '1' : '0.01'}
+                              value={attractor[key]}
+                              onChange={(e) => updateAttractor(index, { [key]: parseFloat(e.target.value) || 0 })}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <select
+                        aria-label="Path"
+                        value={attractor.path}
+                        onChange={(e) => updateAttractor(index, { path: e.target.value })}
+                        className="w-full h-8 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                      >
+                        {ATTRACTOR_PATHS.map(({ id, label }) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                      {attractor.path !== 'fixed' && (
+                        <div className="grid grid-cols-3 gap-2">
+                          {[['pathRadius', 'Radius', '0.01'], ['pathPeriod', 'Period', '10'], ['pathAngle', 'Angle (°)', '15']].map(([key, label, step]) => (
+                            <div key={key} className="space-y-1">
+                              <Label htmlFor={`attractor-${index}-${key}`} className="text-white text-xs">
+                                {label}
+                              </Label>
+                              <Input
+                                id={`attractor-${index}-${key}`}
+                                type="number"
+                                step={step}
+                                value={attractor[key]}
+                                onChange={(e) => updateAttractor(index, { [key]: parseFloat(e.target.value) || 0 })}
+                                className="bg-slate-800 border-slate-700 text-white"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setAttractors(list => [...list, createAttractor(0.5, 0.5, 0.5)])}
+                  >
+                    Add Attractor
+                  </Button>
                   <p className="text-xs text-slate-400">
-                    Attraction to ground: mass × {groundGravityCoefficient}e-6 (toward y=1)
+                    Pull mass × strength × 1e-6 × falloff toward each attractor (particles taking part in gravity);
+                    place and drag them on the canvas with the attractor tool of the draw mode
                   </p>
                 </div>
 
+                <div className="space-y-2">
+                  <Label className="text-white">
+                    External Electric Fields (E)
+                  </Label>
+                  {externalElectricFields.map((field, index) => (
+                    <div key={index} className="space-y-2 rounded-md border border-slate-700 p-2">
+                      <div className="flex items-center gap-2">
+                        <select
+                          aria-label="Field type"
+                          value={field.type}
+                          onChange={(e) => updateExternalElectricField(index, { type: e.target.value })}
+                          className="flex-1 h-8 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                        >
+                          {EXTERNAL_FIELD_TYPES.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setExternalElectricFields(fields => fields.filter((_, i) => i !== index))}
+                        >
+                          Remove
+                        </Button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        {(mode3D ? ['x', 'y', 'z'] : ['x', 'y']).map(axis => (
+                          <div key={axis} className="space-y-1">
+                            <Label htmlFor={`electricField-${index}-${axis}`} className="text-white text-xs">
+                              E{axis}
+                            </Label>
+                            <Input
+                              id={`electricField-${index}-${axis}`}
+                              type="number"
+                              step="0.1"
+                              value={field[`e${axis}`]}
+                              onChange={(e) => updateExternalElectricField(index, { [`e${axis}`]: parseFloat(e.target.value) || 0 })}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      {field.type === 'gradient' && (
+                        <div className="grid grid-cols-3 gap-2">
+                          <div className="space-y-1">
+                            <Label htmlFor={`electricField-${index}-axis`} className="text-white text-xs">
+                              Axis
+                            </Label>
+                            <select
+                              id={`electricField-${index}-axis`}
+                              value={field.axis}
+                              onChange={(e) => updateExternalElectricField(index, { axis: e.target.value })}
+                              className="w-full h-9 rounded-md border px-2 text-sm bg-slate-800 border-slate-700 text-white"
+                            >
+                              {(mode3D ? ['x', 'y', 'z'] : ['x', 'y']).map(axis => (
+                                <option key={axis} value={axis}>{axis}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div className="space-y-1">
+                            <Label htmlFor={`electricField-${index}-gradient`} className="text-white text-xs">
+                              dE/d{field.axis}
+                            </Label>
+                            <Input
+                              id={`electricField-${index}-gradient`}
+                              type="number"
+                              step="0.1"
+                              value={field.gradient}
+                              onChange={(e) => updateExternalElectricField(index, { gradient: parseFloat(e.target.value) || 0 })}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                          <div className="space-y-1">
+                            <Label htmlFor={`electricField-${index}-origin`} className="text-white text-xs">
+                              Origin
+                            </Label>
+                            <Input
+                              id={`electricField-${index}-origin`}
+                              type="number"
+                              step="0.05"
+                              value={field.origin}
+                              onChange={(e) => updateExternalElectricField(index, { origin: parseFloat(e.target.value) || 0 })}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                        </div>
+                      )}
+                      {field.type === 'region' && (
+                        <div className="grid grid-cols-2 gap-2">
+                          {(mode3D ? ['X', 'Y', 'Z'] : ['X', 'Y']).flatMap(axis => [`min${axis}`, `max${axis}`]).map(key => (
+                            <div key={key} className="space-y-1">
+                              <Label htmlFor={`electricField-${index}-${key}`} className="text-white text-xs">
+                                {key}
+                              </Label>
+                              <Input
+                                id={`electricField-${index}-${key}`}
+                                type="number"
+                                step="0.05"
+                                min="0"
+                                max="1"
+                                value={field[key]}
+                                onChange={(e) => updateExternalElectricField(index, { [key]: parseFloat(e.target.value) || 0 })}
+                                className="bg-slate-800 border-slate-700 text-white"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => setExternalElectricFields(fields => [...fields, createExternalElectricField('uniform')])}
+                  >
+                    Add Field
+                  </Button>
+                  <p className="text-xs text-slate-400">
+                    Force q·E with E in units of 1e-6; uniform fields accelerate, gradients focus, regions act like deflection plates
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label className="text-white">
+                    External Magnetic Field (B)
+                  </Label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {(mode3D ? ['x', 'y', 'z'] : ['z']).map(axis => (
+                      <div key={axis} className="space-y-1">
+                        <Label htmlFor={`magneticField-${axis}`} className="text-white text-xs">
+                          B{axis}
+                        </Label>
+                        <Input
+                          id={`magneticField-${axis}`}
+                          type="number"
+                          step="0.01"
+                          value={magneticField[axis]}
+                          onChange={(e) => setMagneticField(field => ({ ...field, [axis]: parseFloat(e.target.value) || 0 }))}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="movingChargeMagneticField"
+                      checked={movingChargeMagneticField}
+                      onChange={(e) => setMovingChargeMagneticField(e.target.checked)}
+                      className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
+                    />
+                    <Label htmlFor="movingChargeMagneticField" className="text-white text-sm cursor-pointer">
+                      Field of Moving Charges
+                    </Label>
+                  </div>
+                  {movingChargeMagneticField && (
+                    <div className="space-y-1">
+                      <Label htmlFor="magneticCoefficient" className="text-white text-xs">
+                        Magnetic Coefficient (K_magnetic)
+                      </Label>
+                      <Input
+                        id="magneticCoefficient"
+                        type="number"
+                        step="0.1"
+                        min="0"
+                        value={magneticCoefficient}
+                        onChange={(e) => setMagneticCoefficient(parseFloat(e.target.value) || 0)}
+                        className="bg-slate-800 border-slate-700 text-white"
+                      />
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-400">
+                    Lorentz force q·v×B{mode3D ? '' : ' (only Bz acts on in-plane motion)'}
+                    {movingChargeMagneticField && `; moving charges add ${magneticCoefficient}e-6 × q·v×r̂ / distance²`}
+                    {integrator !== 'boris' && '. Use the Boris push integrator for accurate orbits'}
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      id="adaptiveTimeStep"
+                      checked={adaptiveTimeStep}
+                      onChange={(e) => setAdaptiveTimeStep(e.target.checked)}
+                      className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
+                    />
+                    <Label htmlFor="adaptiveTimeStep" className="text-white text-sm cursor-pointer">
+                      Adaptive Time Step
+                    </Label>
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    Shrinks dt during close encounters and grows it back afterwards (max dt = 0.01)
+                  </p>
+                  {adaptiveTimeStep && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="space-y-1">
+                        <Label htmlFor="accelerationTolerance" className="text-white text-xs">
+                          Acceleration Tol. (|a|·dt²)
+                        </Label>
+                        <Input
+                          id="accelerationTolerance"
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={accelerationTolerance}
+                          onChange={(e) => setAccelerationTolerance(parseFloat(e.target.value) || 1e-4)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label htmlFor="closeEncounterTolerance" className="text-white text-xs">
+                          Close Encounter Tol.
+                        </Label>
+                        <Input
+                          id="closeEncounterTolerance"
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={closeEncounterTolerance}
+                          onChange={(e) => setCloseEncounterTolerance(parseFloat(e.target.value) || 0.1)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
+
                 <div className="space-y-2">
                   <Label htmlFor="protons" className="text-white">
                     Number of Protons
@@ -1107,6 +2491,21 @@ function App() {
                     onChange={(e) => setElectronCount(parseInt(e.target.value) || 0)}
                     className="bg-slate-800 border-slate-700 text-white"
                   />
+                  <Label htmlFor="seed" className="text-white">
+                    Random Seed
+                  </Label>
+                  <Input
+                    id="seed"
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={seed}
+                    onChange={(e) => setSeed(parseInt(e.target.value) || 0)}
+                    className="bg-slate-800 border-slate-700 text-white"
+                  />
+                  <p className="text-xs text-slate-400">
+                    Same seed and parameters give identical runs (current run: seed {snapshot ? snapshot.seed : seed})
+                  </p>
                   <Button 
                     onClick={handleReset}
                     variant="outline"
@@ -1141,36 +2540,127 @@ function App() {
                   <div className="flex items-center space-x-2">
                     <input
                       type="checkbox"
-                      id="strongForceEnabled"
-                      checked={strongForceEnabled}
-                      onChange={(e) => setStrongForceEnabled(e.target.checked)}
+                      id="collisionsEnabled"
+                      checked={collisionsEnabled}
+                      onChange={(e) => setCollisionsEnabled(e.target.checked)}
                       className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
                     />
-                    <Label htmlFor="strongForceEnabled" className="text-white text-sm cursor-pointer">
-                      Strong Force
+                    <Label htmlFor="collisionsEnabled" className="text-white text-sm cursor-pointer">
+                      Hard-Sphere Collisions
                     </Label>
                   </div>
+                  {collisionsEnabled && (
+                    <div className="space-y-1">
+                      <Label htmlFor="collisionRestitution" className="text-white text-xs">
+                        Restitution Coefficient (e)
+                      </Label>
+                      <Input
+                        id="collisionRestitution"
+                        type="number"
+                        step="0.05"
+                        min="0"
+                        max="1"
+                        value={collisionRestitution}
+                        onChange={(e) => setCollisionRestitution(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+                        className="bg-slate-800 border-slate-700 text-white"
+                      />
+                    </div>
+                  )}
                   <p className="text-xs text-slate-400">
-                    Short-range repulsion: F = K_strong × 1e-10 / r⁴
+                    Particles bounce off each other at their radii (electrons 0.01 U, protons 0.02 U); e = 1 is elastic,
+                    but pushing overlapping particles apart changes their potential energy, so the total energy drifts
                   </p>
                 </div>
                 
-                
                 <div className="space-y-2">
                   <div className="flex items-center space-x-2">
                     <input
                       type="checkbox"
-                      id="gravityEnabled"
-                      checked={gravityEnabled}
-                      onChange={(e) => setGravityEnabled(e.target.checked)}
+                      id="dragEnabled"
+                      checked={dragEnabled}
+                      onChange={(e) => setDragEnabled(e.target.checked)}
                       className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
                     />
-                    <Label htmlFor="gravityEnabled" className="text-white text-sm cursor-pointer">
-                      Gravitational Force
+                    <Label htmlFor="dragEnabled" className="text-white text-sm cursor-pointer">
+                      Viscous Medium (Drag)
                     </Label>
                   </div>
+                  {dragEnabled && (
+                    <>
+                      <select
+                        id="dragModel"
+                        aria-label="Drag model"
+                        value={dragModel}
+                        onChange={(e) => setDragModel(e.target.value)}
+                        className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                      >
+                        {DRAG_MODELS.map(({ id, label }) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                      <div className="grid grid-cols-2 gap-2">
+                        {Object.values(speciesRegistry).filter(species => !species.isPhoton).map(species => (
+                          <div key={species.id} className="space-y-1">
+                            <Label htmlFor={`dragCoefficient-${species.id}`} className="text-white text-xs">
+                              γ {species.name}
+                            </Label>
+                            <Input
+                              id={`dragCoefficient-${species.id}`}
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={dragCoefficients[species.id] ?? 0}
+                              onChange={(e) => setDragCoefficients(coefficients => ({ ...coefficients, [species.id]: parseFloat(e.target.value) || 0 }))}
+                              className="bg-slate-800 border-slate-700 text-white"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      {dragRegions.map((region, index) => (
+                        <div key={index} className="space-y-2 rounded-md border border-slate-700 p-2">
+                          <div className="flex items-center justify-between gap-2">
+                            <p className="text-white text-xs">Medium region {index + 1}</p>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => setDragRegions(regions => regions.filter((_, i) => i !== index))}
+                            >
+                              Remove
+                            </Button>
+                          </div>
+                          <div className="grid grid-cols-2 gap-2">
+                            {(mode3D ? ['X', 'Y', 'Z'] : ['X', 'Y']).flatMap(axis => [`min${axis}`, `max${axis}`]).map(key => (
+                              <div key={key} className="space-y-1">
+                                <Label htmlFor={`dragRegion-${index}-${key}`} className="text-white text-xs">
+                                  {key}
+                                </Label>
+                                <Input
+                                  id={`dragRegion-${index}-${key}`}
+                                  type="number"
+                                  step="0.05"
+                                  min="0"
+                                  max="1"
+                                  value={region[key]}
+                                  onChange={(e) => updateDragRegion(index, { [key]: parseFloat(e.target.value) || 0 })}
+                                  className="bg-slate-800 border-slate-700 text-white"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setDragRegions(regions => [...regions, { minX: 0.5, maxX: 1, minY: 0, maxY: 1, minZ: 0, maxZ: 1 }])}
+                      >
+                        Add Medium Region
+                      </Button>
+                    </>
+                  )}
                   <p className="text-xs text-slate-400">
-                    Attraction to center: F = mass × K_gravity × 1e-4 (toward 0.5, 0.5, 0.5)
+                    {dragModel === 'quadratic' ? 'F = −γ|v|v' : 'F = −γv'} on mobile particles
+                    {dragRegions.length > 0 ? ' inside the medium regions' : ' everywhere'}; the dissipated energy is tracked
                   </p>
                 </div>
                 
@@ -1178,56 +2668,101 @@ function App() {
                   <div className="flex items-center space-x-2">
                     <input
                       type="checkbox"
-                      id="groundGravityEnabled"
-                      checked={groundGravityEnabled}
-                      onChange={(e) => setGroundGravityEnabled(e.target.checked)}
+                      id="photonEmissionEnabled"
+                      checked={photonEmissionEnabled}
+                      onChange={(e) => setPhotonEmissionEnabled(e.target.checked)}
                       className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
                     />
-                    <Label htmlFor="groundGravityEnabled" className="text-white text-sm cursor-pointer">
-                      Ground Gravity
+                    <Label htmlFor="photonEmissionEnabled" className="text-white text-sm cursor-pointer">
+                      Photon Emission
                     </Label>
                   </div>
+                  <select
+                    id="photonEmissionModel"
+                    value={photonEmissionModel}
+                    onChange={(e) => setPhotonEmissionModel(e.target.value)}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white"
+                  >
+                    {EMISSION_MODELS.map(({ id, label }) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  {photonEmissionModel === 'larmor' && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="space-y-1">
+                        <Label htmlFor="larmorCoefficient" className="text-white text-xs">
+                          K_larmor
+                        </Label>
+                        <Input
+                          id="larmorCoefficient"
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={larmorCoefficient}
+                          onChange={(e) => setLarmorCoefficient(parseFloat(e.target.value) || 0)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label htmlFor="larmorPhotonEnergy" className="text-white text-xs">
+                          Photon energy (×1e-6)
+                        </Label>
+                        <Input
+                          id="larmorPhotonEnergy"
+                          type="number"
+                          step="0.1"
+                          min="0.001"
+                          value={larmorPhotonEnergy}
+                          onChange={(e) => setLarmorPhotonEnergy(parseFloat(e.target.value) || 1)}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                    </div>
+                  )}
                   <p className="text-xs text-slate-400">
-                    Attraction to ground: F = mass × K_ground_gravity × 1e-6 (toward y=1)
+                    {photonEmissionModel === 'larmor'
+                      ? `Every accelerating charge radiates P = ${larmorCoefficient} × ⅔·K·q²a²/c³ as photons of ${larmorPhotonEnergy}e-6, mostly perpendicular to its acceleration`
+                      : 'Electrons emit photons when moving fast'}; photons transfer energy on collision
                   </p>
-                </div>
-                
-                <div className="space-y-2">
                   <div className="flex items-center space-x-2">
                     <input
                       type="checkbox"
-                      id="photonEmissionEnabled"
-                      checked={photonEmissionEnabled}
-                      onChange={(e) => setPhotonEmissionEnabled(e.target.checked)}
+                      id="photonMomentumConservation"
+                      checked={photonMomentumConservation}
+                      onChange={(e) => setPhotonMomentumConservation(e.target.checked)}
                       className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
                     />
-                    <Label htmlFor="photonEmissionEnabled" className="text-white text-sm cursor-pointer">
-                      Photon Emission
+                    <Label htmlFor="photonMomentumConservation" className="text-white text-sm cursor-pointer">
+                      Conserve Photon Momentum
                     </Label>
                   </div>
                   <p className="text-xs text-slate-400">
-                    Electrons emit photons when moving fast; photons transfer energy on collision
+                    Photons carry momentum E/c and the nearest particle takes up the recoil, so energy and momentum are both conserved
+                    (turn off static protons to audit the total momentum)
                   </p>
                 </div>
                 
                 <div className="space-y-2">
-                  <div className="flex items-center space-x-2">
-                    <input
-                      type="checkbox"
-                      id="displayMagneticField"
-                      checked={displayMagneticField}
-                      onChange={(e) => setDisplayMagneticField(e.target.checked)}
-                      disabled={mode3D}
-                      className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                    />
-                    <Label htmlFor="displayMagneticField" className="text-white text-sm cursor-pointer">
-                      Display Magnetic Field
-                    </Label>
-                  </div>
+                  <Label htmlFor="fieldDisplay" className="text-white">
+                    Field Display
+                  </Label>
+                  <select
+                    id="fieldDisplay"
+                    value={fieldDisplay}
+                    onChange={(e) => setFieldDisplay(e.target.value)}
+                    disabled={mode3D}
+                    className="w-full h-9 rounded-md border px-3 text-sm bg-slate-800 border-slate-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <option value="none">None</option>
+                    <option value="electricPotential">Electric potential</option>
+                    <option value="magneticField">Magnetic field (Bz)</option>
+                  </select>
                   <p className="text-xs text-slate-400">
-                    {mode3D 
-                      ? "Only available in 2D mode" 
-                      : "Shows electromagnetic force intensity on a 40×40 grid (2D only)"}
+                    {mode3D
+                      ? "Only available in 2D mode"
+                      : fieldDisplay === 'magneticField'
+                        ? "Bz on a 100×100 grid: blue out of the screen, red into the screen"
+                        : "Electric potential on a 100×100 grid: blue positive, red negative"}
                   </p>
                 </div>
                 
@@ -1238,7 +2773,7 @@ function App() {
                       id="mode3D"
                       checked={mode3D}
                       onChange={(e) => setMode3D(e.target.checked)}
-                      disabled={universeRef.current && universeRef.current.particles.length > 0}
+                      disabled={snapshot && snapshot.particles.length > 0}
                       className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
                     />
                     <Label htmlFor="mode3D" className="text-white text-sm cursor-pointer">
@@ -1253,98 +2788,296 @@ function App() {
               </CardContent>
             </Card>
             
+            {/* Species */}
+            <Card className="bg-slate-900/50 border-slate-800 backdrop-blur">
+              <CardHeader>
+                <CardTitle className="text-white">Species</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="space-y-1 text-xs text-slate-300">
+                  {Object.values(BUILT_IN_SPECIES).map(species => (
+                    <p key={species.id} className="flex items-center gap-2">
+                      <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: species.color }} />
+                      {species.name}: q = {species.charge}, m = {species.mass}, r = {species.radius} U
+                    </p>
+                  ))}
+                </div>
+                
+                {customSpecies.map(species => (
+                  <div key={species.id} className="space-y-2 rounded-md border border-slate-700 p-2">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="color"
+                        aria-label="Colour"
+                        value={species.color}
+                        onChange={(e) => updateCustomSpecies(species.id, { color: e.target.value })}
+                        className="w-9 h-9 rounded border border-slate-700 bg-slate-800"
+                      />
+                      <Input
+                        aria-label="Name"
+                        value={species.name}
+                        onChange={(e) => updateCustomSpecies(species.id, { name: e.target.value })}
+                        className="flex-1 bg-slate-800 border-slate-700 text-white"
+                      />
+                      <Button size="sm" variant="outline" onClick={() => removeCustomSpecies(species.id)}>
+                        Remove
+                      </Button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {[
+                        { key: 'charge', label: 'Charge', step: '1' },
+                        { key: 'mass', label: 'Mass', step: '1' },
+                        { key: 'radius', label: 'Radius', step: '0.005' },
+                      ].map(({ key, label, step }) => (
+                        <div key={key} className="space-y-1">
+                          <Label htmlFor={`${species.id}-${key}`} className="text-white text-xs">
+                            {label}
+                          </Label>
+                          <Input
+                            id={`${species.id}-${key}`}
+                            type="number"
+                            step={step}
+                            min={key === 'charge' ? undefined : '0'}
+                            value={species[key]}
+                            onChange={(e) => updateCustomSpecies(species.id, { [key]: parseFloat(e.target.value) || 0 })}
+                            className="bg-slate-800 border-slate-700 text-white"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                      {FORCES.map(({ id, label }) => (
+                        <div key={id} className="flex items-center space-x-2">
+                          <input
+                            type="checkbox"
+                            id={`${species.id}-${id}`}
+                            checked={species.forces[id]}
+                            onChange={(e) => updateCustomSpecies(species.id, { forces: { ...species.forces, [id]: e.target.checked } })}
+                            className="w-4 h-4 rounded border-slate-700 bg-slate-800 text-blue-600 focus:ring-2 focus:ring-blue-500"
+                          />
+                          <Label htmlFor={`${species.id}-${id}`} className="text-white text-xs cursor-pointer">
+                            {label}
+                          </Label>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                
+                <Button size="sm" variant="outline" onClick={() => setCustomSpecies(list => [...list, createCustomSpecies()])}>
+                  Add Species
+                </Button>
+                <p className="text-xs text-slate-400">
+                  Custom species can be placed in draw mode; mass must be positive for the particle to move
+                </p>
+              </CardContent>
+            </Card>
+            
             {/* Particle Diagnostics */}
-            {universeRef.current && (
+            {snapshot && (
               <>
-                {universeRef.current.particles.filter(p => p.charge < 0).length === 1 && (
-                  <Card className="bg-slate-900/50 border-slate-800 backdrop-blur">
-                    <CardHeader>
-                      <CardTitle className="text-blue-400 text-sm">Electron Diagnostics</CardTitle>
-                    </CardHeader>
-                    <CardContent className="text-xs text-slate-300 space-y-2">
-                      {(() => {
-                        const electron = universeRef.current.particles.find(p => p.charge < 0);
-                        if (!electron) return null;
-                        const speed = Math.sqrt(electron.vx ** 2 + electron.vy ** 2);
-                        const acceleration = Math.sqrt(electron.accelerationX ** 2 + electron.accelerationY ** 2);
-                        const electroForce = Math.sqrt(electron.forceElectroX ** 2 + electron.forceElectroY ** 2);
-                        
-                        return (
-                          <>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Position</p>
-                              <p>x: {electron.x.toFixed(4)} U</p>
-                              <p>y: {electron.y.toFixed(4)} U</p>
-                            </div>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Velocity</p>
-                              <p>vx: {electron.vx.toFixed(6)} U/s</p>
-                              <p>vy: {electron.vy.toFixed(6)} U/s</p>
-                              <p className="text-blue-300">|v|: {speed.toFixed(6)} U/s</p>
-                            </div>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Acceleration</p>
-                              <p>ax: {electron.accelerationX.toFixed(6)} U/s²</p>
-                              <p>ay: {electron.accelerationY.toFixed(6)} U/s²</p>
-                              <p className="text-blue-300">|a|: {acceleration.toFixed(6)} U/s²</p>
-                            </div>
-                            <div>
-                              <p className="font-semibold text-white mb-1">Electrostatic Force</p>
-                              <p>Fx: {electron.forceElectroX.toFixed(8)} N</p>
-                              <p>Fy: {electron.forceElectroY.toFixed(8)} N</p>
-                              <p className="text-green-300">|F|: {electroForce.toFixed(8)} N</p>
-                            </div>
-                          </>
-                        );
-                      })()}
-                    </CardContent>
-                  </Card>
-                )}
+                <Card className="bg-slate-900/50 border-slate-800 backdrop-blur">
+                  <CardHeader>
+                    <CardTitle className="text-white text-sm">Simulation Diagnostics</CardTitle>
+                  </CardHeader>
+                  <CardContent className="text-xs text-slate-300 space-y-1">
+                    <p>Mode: {adaptiveTimeStep ? 'adaptive' : 'fixed'}</p>
+                    <p>Current dt: {snapshot.dt.toExponential(3)} s</p>
+                    <p>Rejected steps: {snapshot.rejectedSteps}</p>
+                    <p>Simulation time: {snapshot.simulationTime.toFixed(3)} s</p>
+                    <p>Collisions: {snapshot.collisionCount}</p>
+                    <p>Temperature: {(snapshot.temperature / 1e-6).toFixed(4)}e-6</p>
+                    <p>
+                      Total momentum: ({snapshot.momentum.x.toExponential(3)}, {snapshot.momentum.y.toExponential(3)}
+                      {mode3D && `, ${snapshot.momentum.z.toExponential(3)}`}), |p| = {snapshot.momentum.magnitude.toExponential(3)}
+                    </p>
+                    {dragEnabled && (
+                      <p>Energy lost to drag: {snapshot.dragEnergyLoss.toExponential(3)}</p>
+                    )}
+                    {thermostat === 'noseHoover' && (
+                      <p>Nosé–Hoover friction ξ: {snapshot.thermostatFriction.toExponential(3)}</p>
+                    )}
+                    {Object.values(speciesRegistry).map(species => {
+                      const count = snapshot.particles.filter(p => p.species === species.id).length
+                      return count > 0 && (
+                        <p key={species.id}>{species.name} count: {count}</p>
+                      )
+                    })}
+                  </CardContent>
+                </Card>
                 
-                {universeRef.current.particles.filter(p => p.charge > 0).length === 1 && (
+                {/* Photon spectrum: emitted and absorbed photons counted by wavelength */}
+                {(photonEmissionEnabled || emittedPhotonCount + absorbedPhotonCount > 0) && (
                   <Card className="bg-slate-900/50 border-slate-800 backdrop-blur">
                     <CardHeader>
-                      <CardTitle className="text-red-400 text-sm">Proton Diagnostics</CardTitle>
+                      <CardTitle className="text-white text-sm">Photon Spectrum</CardTitle>
+                      <CardDescription>
+                        {emittedPhotonCount} emitted, {absorbedPhotonCount} absorbed; λ = h·c / E in nm (visible 380–750)
+                      </CardDescription>
                     </CardHeader>
-                    <CardContent className="text-xs text-slate-300 space-y-2">
-                      {(() => {
-                        const proton = universeRef.current.particles.find(p => p.charge > 0);
-                        if (!proton) return null;
-                        const speed = Math.sqrt(proton.vx ** 2 + proton.vy ** 2);
-                        const acceleration = Math.sqrt(proton.accelerationX ** 2 + proton.accelerationY ** 2);
-                        const electroForce = Math.sqrt(proton.forceElectroX ** 2 + proton.forceElectroY ** 2);
-                        
-                        return (
-                          <>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Position</p>
-                              <p>x: {proton.x.toFixed(4)} U</p>
-                              <p>y: {proton.y.toFixed(4)} U</p>
-                            </div>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Velocity</p>
-                              <p>vx: {proton.vx.toFixed(6)} U/s</p>
-                              <p>vy: {proton.vy.toFixed(6)} U/s</p>
-                              <p className="text-blue-300">|v|: {speed.toFixed(6)} U/s</p>
-                            </div>
-                            <div className="border-b border-slate-700 pb-2">
-                              <p className="font-semibold text-white mb-1">Acceleration</p>
-                              <p>ax: {proton.accelerationX.toFixed(6)} U/s²</p>
-                              <p>ay: {proton.accelerationY.toFixed(6)} U/s²</p>
-                              <p className="text-blue-300">|a|: {acceleration.toFixed(6)} U/s²</p>
-                            </div>
-                            <div>
-                              <p className="font-semibold text-white mb-1">Electrostatic Force</p>
-                              <p>Fx: {proton.forceElectroX.toFixed(8)} N</p>
-                              <p>Fy: {proton.forceElectroY.toFixed(8)} N</p>
-                              <p className="text-green-300">|F|: {electroForce.toFixed(8)} N</p>
-                            </div>
-                          </>
-                        );
-                      })()}
+                    <CardContent className="space-y-2">
+                      <ChartContainer
+                        config={{
+                          emitted: { label: 'Emitted', color: '#fbbf24' },
+                          absorbed: { label: 'Absorbed', color: '#64748b' },
+                        }}
+                        className="aspect-auto h-48 w-full"
+                      >
+                        <BarChart data={spectrumData} barGap={0}>
+                          <CartesianGrid vertical={false} stroke="#334155" />
+                          <XAxis dataKey="wavelength" tickLine={false} minTickGap={16} unit=" nm" />
+                          <YAxis allowDecimals={false} tickLine={false} width={32} />
+                          <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => `λ ≈ ${payload[0]?.payload.wavelength} nm`} />} />
+                          <ChartLegend content={<ChartLegendContent />} />
+                          <Bar dataKey="emitted" fill="var(--color-emitted)">
+                            {spectrumData.map(bin => (
+                              <Cell key={bin.wavelength} fill={wavelengthToColor(bin.wavelength)} />
+                            ))}
+                          </Bar>
+                          <Bar dataKey="absorbed" fill="var(--color-absorbed)" />
+                        </BarChart>
+                      </ChartContainer>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => simulationRef.current?.clearPhotonSpectrum()}
+                      >
+                        Clear Spectrum
+                      </Button>
                     </CardContent>
                   </Card>
                 )}
+                
+                {/* Energy and momentum conservation dashboard (samples taken by Universe.sampleConservation) */}
+                <Card className="bg-slate-900/50 border-slate-800 backdrop-blur">
+                  <CardHeader>
+                    <CardTitle className="text-white text-sm">Conservation Dashboard</CardTitle>
+                    <CardDescription>
+                      Relative energy drift since reset: {energyDrift.toExponential(3)}
+                      {latestSample && ` · |P| = ${latestSample.momentum.toExponential(3)} · |L| = ${latestSample.angularMomentum.toExponential(3)}`}
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-2">
+                    <ChartContainer
+                      config={{
+                        kinetic: { label: 'Kinetic', color: '#3b82f6' },
+                        photon: { label: 'Photon', color: '#fbbf24' },
+                        electrostatic: { label: 'Electrostatic', color: '#ef4444' },
+                        total: { label: 'Total', color: '#f8fafc' },
+                      }}
+                      className="aspect-auto h-48 w-full"
+                    >
+                      <LineChart data={conservationHistory}>
+                        <CartesianGrid vertical={false} stroke="#334155" />
+                        <XAxis dataKey="time" tickLine={false} minTickGap={24} tickFormatter={(time) => time.toFixed(1)} />
+                        <YAxis tickLine={false} width={56} tickFormatter={(value) => value.toExponential(1)} />
+                        <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => `t = ${payload[0]?.payload.time.toFixed(3)} s`} />} />
+                        <ChartLegend content={<ChartLegendContent />} />
+                        {['kinetic', 'photon', 'electrostatic', 'total'].map(key => (
+                          <Line key={key} dataKey={key} stroke={`var(--color-${key})`} dot={false} isAnimationActive={false} />
+                        ))}
+                      </LineChart>
+                    </ChartContainer>
+                    <ChartContainer
+                      config={{
+                        momentum: { label: 'Linear |P|', color: '#22c55e' },
+                        angularMomentum: { label: 'Angular |L|', color: '#a78bfa' },
+                      }}
+                      className="aspect-auto h-36 w-full"
+                    >
+                      <LineChart data={conservationHistory}>
+                        <CartesianGrid vertical={false} stroke="#334155" />
+                        <XAxis dataKey="time" tickLine={false} minTickGap={24} tickFormatter={(time) => time.toFixed(1)} />
+                        <YAxis tickLine={false} width={56} tickFormatter={(value) => value.toExponential(1)} />
+                        <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => `t = ${payload[0]?.payload.time.toFixed(3)} s`} />} />
+                        <ChartLegend content={<ChartLegendContent />} />
+                        {['momentum', 'angularMomentum'].map(key => (
+                          <Line key={key} dataKey={key} stroke={`var(--color-${key})`} dot={false} isAnimationActive={false} />
+                        ))}
+                      </LineChart>
+                    </ChartContainer>
+                    <div className="flex items-end gap-2">
+                      <div className="space-y-1 flex-1">
+                        <Label htmlFor="conservationSampleInterval" className="text-white text-xs">
+                          Sample every N steps
+                        </Label>
+                        <Input
+                          id="conservationSampleInterval"
+                          type="number"
+                          step="10"
+                          min="1"
+                          value={conservationSampleInterval}
+                          onChange={(e) => setConservationSampleInterval(Math.max(1, parseInt(e.target.value) || 100))}
+                          className="bg-slate-800 border-slate-700 text-white"
+                        />
+                      </div>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => simulationRef.current?.clearConservationHistory()}
+                      >
+                        Reset
+                      </Button>
+                    </div>
+                    <p className="text-xs text-slate-400">
+                      Total energy includes strong force, external field, pair potential and bond energy; energy lost to drag counts
+                      toward the drift. Momentum is only conserved without walls, static particles or external forces.
+                    </p>
+                  </CardContent>
+                </Card>
+                
+                {/* One card per species that has a single particle in the universe */}
+                {Object.values(speciesRegistry).filter(species => !species.isPhoton).map(species => {
+                  const members = snapshot.particles.filter(p => p.species === species.id)
+                  if (members.length !== 1) return null
+                  const particle = members[0]
+                  const speed = Math.sqrt(particle.vx ** 2 + particle.vy ** 2);
+                  // Lorentz factor and kinetic energy, as computed by Universe.lorentzFactor / kineticEnergy
+                  const speedSquared = particle.vx ** 2 + particle.vy ** 2 + (mode3D ? particle.vz ** 2 : 0);
+                  const gamma = snapshot.relativistic
+                    ? 1 / Math.sqrt(Math.max(1 - speedSquared / snapshot.speedOfLight ** 2, 1e-12))
+                    : 1;
+                  const kineticEnergy = snapshot.relativistic
+                    ? particle.mass * speedSquared * gamma * gamma / (gamma + 1)
+                    : 0.5 * particle.mass * speedSquared;
+                  const acceleration = Math.sqrt(particle.accelerationX ** 2 + particle.accelerationY ** 2);
+                  const electroForce = Math.sqrt(particle.forceElectroX ** 2 + particle.forceElectroY ** 2);
+                  
+                  return (
+                    <Card key={species.id} className="bg-slate-900/50 border-slate-800 backdrop-blur">
+                      <CardHeader>
+                        <CardTitle className="text-sm" style={{ color: species.color }}>{species.name} Diagnostics</CardTitle>
+                      </CardHeader>
+                      <CardContent className="text-xs text-slate-300 space-y-2">
+                        <div className="border-b border-slate-700 pb-2">
+                          <p className="font-semibold text-white mb-1">Position</p>
+                          <p>x: {particle.x.toFixed(4)} U</p>
+                          <p>y: {particle.y.toFixed(4)} U</p>
+                        </div>
+                        <div className="border-b border-slate-700 pb-2">
+                          <p className="font-semibold text-white mb-1">Velocity</p>
+                          <p>vx: {particle.vx.toFixed(6)} U/s</p>
+                          <p>vy: {particle.vy.toFixed(6)} U/s</p>
+                          <p className="text-blue-300">|v|: {speed.toFixed(6)} U/s</p>
+                          <p>γ: {gamma.toFixed(6)}</p>
+                          <p>{snapshot.relativistic ? 'KE = (γ − 1)mc²' : 'KE = ½mv²'}: {kineticEnergy.toExponential(4)}</p>
+                        </div>
+                        <div className="border-b border-slate-700 pb-2">
+                          <p className="font-semibold text-white mb-1">Acceleration</p>
+                          <p>ax: {particle.accelerationX.toFixed(6)} U/s²</p>
+                          <p>ay: {particle.accelerationY.toFixed(6)} U/s²</p>
+                          <p className="text-blue-300">|a|: {acceleration.toFixed(6)} U/s²</p>
+                        </div>
+                        <div>
+                          <p className="font-semibold text-white mb-1">Electrostatic Force</p>
+                          <p>Fx: {particle.forceElectroX.toFixed(8)} N</p>
+                          <p>Fy: {particle.forceElectroY.toFixed(8)} N</p>
+                          <p className="text-green-300">|F|: {electroForce.toFixed(8)} N</p>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  );
+                })}
               </>
             )}
             
@@ -1356,11 +3089,16 @@ function App() {
               <CardContent className="text-xs text-slate-400 space-y-2">
                 <p>• Protons (red, +1 charge, mass = 100)</p>
                 <p>• Electrons (blue, -1 charge, mass = 1)</p>
-                <p>• Photons (yellow/gold, neutral, massless)</p>
-                <p>• Electrostatic: F = -K × q₁ × q₂ / r² (K default = 10e-6)</p>
+                <p>• Photons (yellow/gold, neutral, massless, moving at the speed of light c)</p>
+                <p>• Neutrons, positrons, alpha particles and custom species (see Species)</p>
+                <p>• Electrostatic: F = -K × q₁ × q₂ / (r² + ε²), U = K × q₁ × q₂ × atan(ε / r) / ε (K default = 10e-6, softening ε = 0.1)</p>
                 <p>• Collision repulsion: F = K_collision × 1e-9 / r⁴ (toggleable)</p>
-                <p>• Gravity: F = mass × K_gravity × 1e-4 toward center (0.5, 0.5, 0.5) (toggleable, off by default)</p>
-                <p>• Photon emission: electrons emit photons when speed &gt; 1e-3 (configurable)</p>
+                <p>• Gravity: F = mass × K_gravity × 1e-4 toward the gravity center, (0.5, 0.5, 0.5) by default (toggleable, off by default)</p>
+                <p>• Attractors: F = mass × strength × 1e-6 × (1, 1/r, 1/r² or r) toward each attractor, fixed or moving along a path</p>
+                <p>• Ground gravity: F = mass × K_ground_gravity × 1e-6 along a chosen direction (toward y=1 by default)</p>
+                <p>• Mutual gravity: F = G × m₁ × m₂ / (r² + ε²) between every pair, U = -G × m₁ × m₂ × atan(ε / r) / ε (toggleable, off by default)</p>
+                <p>• Stars and planets only feel gravity (see the celestial mechanics presets)</p>
+                <p>• Photon emission: electrons emit photons when speed &gt; 1e-3 (legacy), or any accelerating charge radiates its Larmor power</p>
                 <p>• Photon creation can be disabled via config.photonEmission.enabled</p>
                 <p>• One photon per electron limit (configurable)</p>
                 <p>• Energy conservation: E_photon = ¼ × m × v²</p>
@@ -0,0 +1,272 @@
+/**
+ * Barnes-Hut tree (quadtree in 2D, octree in 3D) for long-range electrostatic forces
+ *
+ * PHYSICS PRINCIPLE: A distant group of charges acts almost like a single point charge
+ *
+ * HOW IT WORKS:
+ * 1. TREE CONSTRUCTION: The bounding square (cube in 3D) of all charged particles is
+ *    recursively split into 4 (8 in 3D) cells until each leaf holds one particle
+ *
+ * 2. CHARGE AGGREGATION: Each cell stores its positive and negative charges separately,
+ *    each with its own center of charge
+ *    - Keeping both signs apart stays accurate for neutral groups (e.g. atoms),
+ *      whose total charge is zero but whose field is not
+ *
+ * 3. FORCE EVALUATION: For each particle, walk the tree from the root
+ *    - If cellSize / distance < theta (opening angle), the cell is far enough:
+ *      use its two aggregated charges
+ *    - Otherwise open the cell and visit its children
+ *    - theta = 0 reproduces the exact pairwise sum; larger theta is faster but less accurate
+ *
+ * Cost: O(n log n) instead of O(n²) for the exact pairwise loop.
+ *
+ * PERIODIC MODE: Individual particles act through their nearest periodic image
+ * (minimum-image convention). An aggregated cell is only used when the whole cell lies
+ * within half a box of the particle once shifted by one image, so all its charges act
+ * through that same image; a cell straddling the half-box image boundary is opened.
+ */
+
+const MAX_DEPTH = 32; // Particles still sharing a cell at this depth are kept together in one leaf
+
+function createNode(minX, minY, minZ, size, depth) {
+  return {
+    minX,
+    minY,
+    minZ,
+    size, // Side length of the cell
+    depth,
+    children: null, // Sub-cells (4 in 2D, 8 in 3D), null for leaves
+    particles: [], // Particles stored in a leaf
+    positiveCharge: 0,
+    positiveX: 0,
+    positiveY: 0,
+    positiveZ: 0,
+    negativeCharge: 0,
+    negativeX: 0,
+    negativeY: 0,
+    negativeZ: 0,
+    centerX: 0, // Center of absolute charge (used for the opening test)
+    centerY: 0,
+    centerZ: 0,
+  };
+}
+
+export class BarnesHutTree {
+  /**
+   * Build the tree from the charged, non-photon particles
+   *
+   * @param {Array<Particle>} particles - Particles of the universe
+   * @param {boolean} mode3D - Build an octree (true) or a quadtree (false)
+   * @param {number} periodicSize - Size of the periodic box, or 0 when the universe has walls
+   */
+  constructor(particles, mode3D, periodicSize = 0) {
+    this.mode3D = mode3D;
+    this.periodicSize = periodicSize;
+    this.root = null;
+
+    const charged = particles.filter(p => !p.isPhoton && p.charge !== 0);
+    if (charged.length === 0) return;
+
+    // Bounding cube of all charged particles
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let p of charged) {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+      if (mode3D) {
+        minZ = Math.min(minZ, p.z);
+        maxZ = Math.max(maxZ, p.z);
+      }
+    }
+    if (!mode3D) {
+      minZ = 0;
+      maxZ = 0;
+    }
+    const size = Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1e-9) * (1 + 1e-9);
+
+    this.root = createNode(minX, minY, minZ, size, 0);
+    for (let p of charged) {
+      this.insert(this.root, p);
+    }
+    this.aggregate(this.root);
+  }
+
+  /**
+   * Index of the child cell containing a particle
+   */
+  childIndex(node, particle) {
+    const half = node.size / 2;
+    let index = 0;
+    if (particle.x >= node.minX + half) index |= 1;
+    if (particle.y >= node.minY + half) index |= 2;
+    if (this.mode3D && particle.z >= node.minZ + half) index |= 4;
+    return index;
+  }
+
+  /**
+   * Split a leaf into 4 (2D) or 8 (3D) sub-cells
+   */
+  subdivide(node) {
+    const half = node.size / 2;
+    const count = this.mode3D ? 8 : 4;
+    node.children = [];
+    for (let i = 0; i < count; i++) {
+      node.children.push(createNode(
+        node.minX + ((i & 1) ? half : 0),
+        node.minY + ((i & 2) ? half : 0),
+        node.minZ + ((i & 4) ? half : 0),
+        half,
+        node.depth + 1
+      ));
+    }
+  }
+
+  insert(node, particle) {
+    if (node.children) {
+      this.insert(node.children[this.childIndex(node, particle)], particle);
+      return;
+    }
+
+    node.particles.push(particle);
+    if (node.particles.length === 1 || node.depth >= MAX_DEPTH) return;
+
+    // Leaf now holds two particles: push them down into sub-cells
+    const stored = node.particles;
+    node.particles = [];
+    this.subdivide(node);
+    for (let p of stored) {
+      this.insert(node.children[this.childIndex(node, p)], p);
+    }
+  }
+
+  /**
+   * Compute positive and negative charges and their centers for every cell
+   */
+  aggregate(node) {
+    const sources = node.children
+      ? node.children.map(child => {
+        this.aggregate(child);
+        return child;
+      })
+      : node.particles.map(p => ({
+        positiveCharge: p.charge > 0 ? p.charge : 0,
+        positiveX: p.x, positiveY: p.y, positiveZ: p.z,
+        negativeCharge: p.charge < 0 ? p.charge : 0,
+        negativeX: p.x, negativeY: p.y, negativeZ: p.z,
+      }));
+
+    for (let s of sources) {
+      node.positiveCharge += s.positiveCharge;
+      node.positiveX += s.positiveCharge * s.positiveX;
+      node.positiveY += s.positiveCharge * s.positiveY;
+      node.positiveZ += s.positiveCharge * s.positiveZ;
+      node.negativeCharge += s.negativeCharge;
+      node.negativeX += s.negativeCharge * s.negativeX;
+      node.negativeY += s.negativeCharge * s.negativeY;
+      node.negativeZ += s.negativeCharge * s.negativeZ;
+    }
+
+    if (node.positiveCharge !== 0) {
+      node.positiveX /= node.positiveCharge;
+      node.positiveY /= node.positiveCharge;
+      node.positiveZ /= node.positiveCharge;
+    }
+    if (node.negativeCharge !== 0) {
+      node.negativeX /= node.negativeCharge;
+      node.negativeY /= node.negativeCharge;
+      node.negativeZ /= node.negativeCharge;
+    }
+
+    const totalCharge = node.positiveCharge - node.negativeCharge;
+    if (totalCharge !== 0) {
+      node.centerX = (node.positiveCharge * node.positiveX - node.negativeCharge * node.negativeX) / totalCharge;
+      node.centerY = (node.positiveCharge * node.positiveY - node.negativeCharge * node.negativeY) / totalCharge;
+      node.centerZ = (node.positiveCharge * node.positiveZ - node.negativeCharge * node.negativeZ) / totalCharge;
+    }
+  }
+
+  /**
+   * Periodic image through which a whole cell acts on a particle
+   *
+   * The cell is shifted by the box multiple bringing its geometric center nearest to the
+   * particle; it can only act as a whole if every point of the shifted cell is then within
+   * half a box of the particle on each axis (always the case with walls).
+   *
+   * @returns {Object|null} Shift {x, y, z} to subtract from the cell's positions, or null
+   *                        when the cell straddles the image boundary and must be opened
+   */
+  cellImage(node, particle) {
+    const shift = { x: 0, y: 0, z: 0 };
+    if (this.periodicSize <= 0) return shift;
+
+    const size = this.periodicSize;
+    const axes = this.mode3D ? [['x', 'minX'], ['y', 'minY'], ['z', 'minZ']] : [['x', 'minX'], ['y', 'minY']];
+    for (let [axis, min] of axes) {
+      shift[axis] = size * Math.round((node[min] + node.size / 2 - particle[axis]) / size);
+      const low = node[min] - shift[axis] - particle[axis];
+      if (low < -size / 2 || low + node.size > size / 2) return null;
+    }
+    return shift;
+  }
+
+  /**
+   * Check whether a particle lies inside a cell shifted by an image (such a cell must
+   * always be opened, so the particle never interacts with itself)
+   */
+  contains(node, particle, shift) {
+    const inside = (value, min) => value >= min && value <= min + node.size;
+    return inside(particle.x, node.minX - shift.x) && inside(particle.y, node.minY - shift.y) &&
+      (!this.mode3D || inside(particle.z, node.minZ - shift.z));
+  }
+
+  /**
+   * Visit the point charges acting on a particle, using aggregated cells where allowed
+   *
+   * Aggregated charges are passed at their position in the image acting on the particle;
+   * individual particles at their own position (the caller applies the minimum image).
+   *
+   * @param {Particle} particle - Particle on which the force acts (excluded from the sources)
+   * @param {number} theta - Opening angle: a cell is used as a whole when size / distance < theta
+   * @param {Function} visit - Called as visit(charge, x, y, z) for each source charge
+   */
+  forEachSource(particle, theta, visit) {
+    if (!this.root) return;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (!node.children) {
+        for (let p of node.particles) {
+          if (p !== particle) visit(p.charge, p.x, p.y, p.z);
+        }
+        continue;
+      }
+
+      const shift = this.cellImage(node, particle);
+      if (shift && !this.contains(node, particle, shift)) {
+        // Distance from the particle to the cell's center of absolute charge, in that image
+        const dx = node.centerX - shift.x - particle.x;
+        const dy = node.centerY - shift.y - particle.y;
+        const dz = this.mode3D ? node.centerZ - shift.z - particle.z : 0;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance > 0 && node.size / distance < theta) {
+          if (node.positiveCharge !== 0) {
+            visit(node.positiveCharge, node.positiveX - shift.x, node.positiveY - shift.y, node.positiveZ - shift.z);
+          }
+          if (node.negativeCharge !== 0) {
+            visit(node.negativeCharge, node.negativeX - shift.x, node.negativeY - shift.y, node.negativeZ - shift.z);
+          }
+          continue;
+        }
+      }
+
+      for (let child of node.children) {
+        stack.push(child);
+      }
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Uniform-grid cell list (spatial hashing) for short-range pair interactions
+ *
+ * PHYSICS PRINCIPLE: Short-range forces vanish beyond a cutoff radius, so only nearby pairs matter
+ *
+ * HOW IT WORKS:
+ * 1. GRID CONSTRUCTION: Space is divided into square (cubic in 3D) cells whose side is
+ *    at least the cutoff radius, and each particle is stored in the cell containing it
+ *
+ * 2. NEIGHBOUR SEARCH: Any pair closer than the cutoff lies in the same cell or in
+ *    adjacent cells (9 cells in 2D, 27 in 3D), so only those cells are scanned
+ *
+ * 3. CUTOFF TEST: Candidate pairs farther apart than the cutoff are discarded
+ *
+ * Cost: O(n) for roughly uniform densities instead of O(n²) for all pairs.
+ *
+ * PERIODIC MODE: The grid covers the whole [0, size) box, neighbour cells wrap around
+ * the edges and distances use the nearest periodic image (minimum-image convention).
+ */
+
+export class CellList {
+  /**
+   * Build the grid
+   *
+   * @param {Array<Particle>} particles - Particles to index (photons are ignored)
+   * @param {number} cutoff - Interaction cutoff radius
+   * @param {boolean} mode3D - Use the Z coordinate (3D grid) or not (2D grid)
+   * @param {number} periodicSize - Size of the periodic box, or 0 when the universe has walls
+   */
+  constructor(particles, cutoff, mode3D, periodicSize = 0) {
+    this.particles = particles;
+    this.cutoff = cutoff;
+    this.mode3D = mode3D;
+    this.periodicSize = periodicSize;
+    this.indices = [];
+
+    for (let i = 0; i < particles.length; i++) {
+      if (!particles[i].isPhoton) this.indices.push(i);
+    }
+    if (this.indices.length === 0) return;
+
+    // Bounding box of the indexed particles (the whole box in periodic mode)
+    this.minX = Infinity;
+    this.minY = Infinity;
+    this.minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    if (periodicSize > 0) {
+      this.minX = this.minY = this.minZ = 0;
+      maxX = maxY = maxZ = periodicSize;
+    } else {
+      for (let i of this.indices) {
+        const p = particles[i];
+        this.minX = Math.min(this.minX, p.x);
+        this.minY = Math.min(this.minY, p.y);
+        this.minZ = Math.min(this.minZ, p.z);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+        maxZ = Math.max(maxZ, p.z);
+      }
+    }
+
+    // Cells are at least cutoff wide; their count is capped so tiny cutoffs don't blow up memory
+    const dimensions = mode3D ? 3 : 2;
+    const maxCellsPerAxis = Math.max(1, Math.floor(Math.pow(4 * this.indices.length, 1 / dimensions)));
+    const cellsAlong = extent => Math.max(1, Math.min(maxCellsPerAxis, Math.floor(extent / cutoff)));
+    this.nx = cellsAlong(maxX - this.minX);
+    this.ny = cellsAlong(maxY - this.minY);
+    this.nz = mode3D ? cellsAlong(maxZ - this.minZ) : 1;
+    // In periodic mode the cells must tile the box exactly, so they are never stretched to the cutoff
+    const cellSize = (extent, n) => periodicSize > 0 ? extent / n : Math.max(extent / n, cutoff);
+    this.cellSizeX = cellSize(maxX - this.minX, this.nx);
+    this.cellSizeY = cellSize(maxY - this.minY, this.ny);
+    this.cellSizeZ = cellSize(maxZ - this.minZ, this.nz);
+
+    this.cells = new Map();
+    for (let i of this.indices) {
+      const key = this.cellKey(...this.cellCoordinates(particles[i]));
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(i);
+    }
+  }
+
+  /**
+   * Integer cell coordinates of a particle
+   */
+  cellCoordinates(particle) {
+    const clamp = (value, n) => Math.min(n - 1, Math.max(0, value));
+    return [
+      clamp(Math.floor((particle.x - this.minX) / this.cellSizeX), this.nx),
+      clamp(Math.floor((particle.y - this.minY) / this.cellSizeY), this.ny),
+      this.mode3D ? clamp(Math.floor((particle.z - this.minZ) / this.cellSizeZ), this.nz) : 0,
+    ];
+  }
+
+  cellKey(ix, iy, iz) {
+    return ix + this.nx * (iy + this.ny * iz);
+  }
+
+  /**
+   * Keys of the cells adjacent to a cell (including itself), wrapped in periodic mode
+   */
+  neighbourKeys(ix, iy, iz) {
+    const keys = new Set();
+    const periodic = this.periodicSize > 0;
+    const zRange = this.mode3D ? [-1, 0, 1] : [0];
+    const neighbour = (index, offset, n) => {
+      const value = index + offset;
+      if (periodic) return (value + n) % n;
+      return value >= 0 && value < n ? value : -1;
+    };
+
+    for (let ox = -1; ox <= 1; ox++) {
+      const cx = neighbour(ix, ox, this.nx);
+      if (cx < 0) continue;
+      for (let oy = -1; oy <= 1; oy++) {
+        const cy = neighbour(iy, oy, this.ny);
+        if (cy < 0) continue;
+        for (let oz of zRange) {
+          const cz = neighbour(iz, oz, this.nz);
+          if (cz < 0) continue;
+          // A Set, because with fewer than 3 cells per axis wrapped neighbours repeat
+          keys.add(this.cellKey(cx, cy, cz));
+        }
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Nearest periodic image of a displacement component (identity with walls)
+   */
+  minimumImage(d) {
+    if (this.periodicSize <= 0) return d;
+    return d - this.periodicSize * Math.round(d / this.periodicSize);
+  }
+
+  /**
+   * Visit every pair of particles closer than the cutoff, once
+   *
+   * @param {Function} visit - Called as visit(i, j) with indices into the particles array (i < j)
+   */
+  forEachPair(visit) {
+    if (this.indices.length === 0) return;
+
+    const cutoffSquared = this.cutoff * this.cutoff;
+
+    for (let i of this.indices) {
+      const p1 = this.particles[i];
+
+      for (let key of this.neighbourKeys(...this.cellCoordinates(p1))) {
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+
+        for (let j of cell) {
+          if (j <= i) continue;
+          const p2 = this.particles[j];
+          const dx = this.minimumImage(p2.x - p1.x);
+          const dy = this.minimumImage(p2.y - p1.y);
+          const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+          if (dx * dx + dy * dy + dz * dz < cutoffSquared) {
+            visit(i, j);
+          }
+        }
+      }
+    }
+  }
+}
@@ -3,9 +3,11 @@
  * Energy calculation functions for physics simulation
  */
 
+import { FORCE_PLUGINS } from './forces.js';
+
 /**
  * Calculate total kinetic energy of all particles
- * KE = 1/2 × m × v²
+ * KE = 1/2 × m × v² ((γ - 1) × m × c² in relativistic mode, see Universe.kineticEnergy)
  * 
  * @param {Universe} universe - The universe instance
  * @returns {number} Total kinetic energy of all particles
@@ -17,18 +19,47 @@ export function calculateTotalKineticEnergy(universe) {
     // Skip photons - their energy is stored separately
     if (particle.isPhoton) continue;
     
-    const vx = particle.vx;
-    const vy = particle.vy;
-    const vz = universe.mode3D ? particle.vz : 0;
-    const speedSquared = vx * vx + vy * vy + vz * vz;
-    
-    const kineticEnergy = 0.5 * particle.mass * speedSquared;
-    totalKE += kineticEnergy;
+    totalKE += universe.kineticEnergy(particle);
   }
   
   return totalKE;
 }
 
+/**
+ * Calculate the kinetic temperature of the massive particles
+ * T = 2 × KE / (d × N × k_B), with k_B = 1 and d = 2 (3 in 3D mode) degrees of freedom per particle
+ * 
+ * Only mobile particles count (fixed particles and static protons have no thermal motion).
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {number} Temperature (0 when no particle can move)
+ */
+export function calculateTemperature(universe) {
+  const mobileCount = universe.particles.filter(particle => universe.isMobile(particle)).length;
+  if (mobileCount === 0) return 0;
+  
+  const degreesOfFreedom = (universe.mode3D ? 3 : 2) * mobileCount;
+  return 2 * calculateTotalKineticEnergy(universe) / degreesOfFreedom;
+}
+
+/**
+ * Calculate the kinetic energy of each species
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {Object} Kinetic energy keyed by species id (only species present in the universe)
+ */
+export function calculateKineticEnergyBySpecies(universe) {
+  const kineticBySpecies = {};
+  
+  for (let particle of universe.particles) {
+    if (particle.isPhoton) continue;
+    
+    kineticBySpecies[particle.species] = (kineticBySpecies[particle.species] ?? 0) + universe.kineticEnergy(particle);
+  }
+  
+  return kineticBySpecies;
+}
+
 /**
  * Calculate total energy stored in photons
  * 
@@ -48,63 +79,222 @@ export function calculateTotalPhotonEnergy(universe) {
 }
 
 /**
- * Calculate total electrostatic potential energy
- * U = K × q₁ × q₂ / r
+ * Calculate total potential energy of one registered force (see forces.js)
+ * - Pair forces: U = Σᵢ<ⱼ U(pᵢ, pⱼ) over pairs that both take part in the force's interaction
+ *   (e.g. softened Coulomb energy, strong force energy truncated at the short-range cutoff)
+ * - External forces: U = Σᵢ U(pᵢ) over particles taking part in it (e.g. gravity)
  * 
- * Note: We calculate the potential energy between each pair of particles
- * The negative sign in Coulomb's force law is already accounted for in the potential energy formula
+ * @param {Universe} universe - The universe instance
+ * @param {Object} force - Force plugin
+ * @returns {number} Total potential energy of the force (0 when it is switched off)
+ */
+export function calculateTotalForceEnergy(universe, force) {
+  if (!universe.isForceEnabled(force)) return 0;
+  
+  // Photons and species without the force's interaction don't feel it
+  const particles = universe.particles.filter(p => universe.takesPart(p, force.interaction));
+  let totalPE = 0;
+  
+  if (force.kind === 'external') {
+    for (const particle of particles) {
+      totalPE += force.energy(universe, particle);
+    }
+    return totalPE;
+  }
+  
+  for (let i = 0; i < particles.length; i++) {
+    for (let j = i + 1; j < particles.length; j++) {
+      totalPE += force.energy(universe, particles[i], particles[j]);
+    }
+  }
+  
+  return totalPE;
+}
+
+/**
+ * Calculate total potential energy of the charges in the external electric fields
+ * U = q × V_external
  * 
  * @param {Universe} universe - The universe instance
- * @returns {number} Total electrostatic potential energy
+ * @returns {number} Total external field potential energy
  */
-export function calculateTotalElectrostaticEnergy(universe) {
+export function calculateTotalExternalFieldEnergy(universe) {
   let totalPE = 0;
   
-  for (let i = 0; i < universe.particles.length; i++) {
-    // Skip photons - they don't have electrostatic interactions
-    if (universe.particles[i].isPhoton) continue;
+  for (let particle of universe.particles) {
+    // Skip neutral particles, photons and species without electromagnetism - the field does not act on them
+    if (particle.charge === 0 || !universe.takesPart(particle, 'electromagnetic')) continue;
     
-    for (let j = i + 1; j < universe.particles.length; j++) {
-      // Skip photons - they don't have electrostatic interactions
-      if (universe.particles[j].isPhoton) continue;
-      
-      const p1 = universe.particles[i];
-      const p2 = universe.particles[j];
-      
-      const dx = p2.x - p1.x;
-      const dy = p2.y - p1.y;
-      const dz = universe.mode3D ? (p2.z - p1.z) : 0;
-      
-      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-      
-      // Electrostatic potential energy: U = K × q₁ × q₂ / r
-      // Note: Opposite charges have negative potential energy (attractive)
-      //       Like charges have positive potential energy (repulsive)
-      const potentialEnergy = (universe.electrostaticCoefficient * p1.charge * p2.charge) / (distance + 0.01);
-      totalPE += potentialEnergy;
+    totalPE += particle.charge * universe.calculateExternalElectricPotential(particle.x, particle.y, particle.z);
+  }
+  
+  return totalPE;
+}
+
+/**
+ * Calculate total potential energy of the Lennard-Jones and Morse pair potentials
+ * U = Σᵢ<ⱼ U_pair(rᵢⱼ), truncated and shifted at the short-range cutoff
+ * (see Universe.calculatePairPotentialEnergy)
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {number} Total pair potential energy
+ */
+export function calculateTotalPairPotentialEnergy(universe) {
+  if (universe.pairPotentials.length === 0) return 0;
+  
+  const particles = universe.particles.filter(p => !p.isPhoton);
+  let totalPE = 0;
+  
+  for (let i = 0; i < particles.length; i++) {
+    for (let j = i + 1; j < particles.length; j++) {
+      totalPE += universe.calculatePairPotentialEnergy(particles[i], particles[j]);
     }
   }
   
   return totalPE;
 }
 
+/**
+ * Calculate total potential energy stored in bonds and angle terms
+ * U = Σ U_bond + Σ U_angle (see Universe.calculateBondEnergy and Universe.calculateAngleEnergy)
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {number} Total bond potential energy
+ */
+export function calculateTotalBondEnergy(universe) {
+  const indexById = universe.particleIndexById();
+  const particleWithId = (id) => universe.particles[indexById.get(id)];
+  let totalPE = 0;
+  
+  for (let bond of universe.bonds) {
+    const p1 = particleWithId(bond.a);
+    const p2 = particleWithId(bond.b);
+    if (!p1 || !p2) continue;
+    
+    totalPE += universe.calculateBondEnergy(bond, p1, p2);
+  }
+  
+  for (let angle of universe.angles) {
+    const p1 = particleWithId(angle.a);
+    const p2 = particleWithId(angle.b);
+    const p3 = particleWithId(angle.c);
+    if (!p1 || !p2 || !p3) continue;
+    
+    totalPE += universe.calculateAngleEnergy(angle, p1, p2, p3);
+  }
+  
+  return totalPE;
+}
+
+/**
+ * Calculate total momentum of the system
+ * P = Σ γ × m × v over massive particles (γ = 1 in classical mode) + Σ E/c × direction over photons
+ * 
+ * Conserved when only pair forces act and photons are exchanged in momentum-conserving mode
+ * (walls, static protons, fixed particles, external fields, central gravity, drag and
+ * thermostats all exchange momentum with the outside).
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {Object} Momentum {x, y, z, magnitude}
+ */
+export function calculateTotalMomentum(universe) {
+  const momentum = { x: 0, y: 0, z: 0 };
+  
+  for (let particle of universe.particles) {
+    const p = calculateParticleMomentum(universe, particle);
+    momentum.x += p.x;
+    momentum.y += p.y;
+    momentum.z += p.z;
+  }
+  
+  momentum.magnitude = Math.sqrt(momentum.x * momentum.x + momentum.y * momentum.y + momentum.z * momentum.z);
+  return momentum;
+}
+
+/**
+ * Calculate total angular momentum about the centre of the universe
+ * L = Σ r × p, with r measured from (size/2, size/2, size/2) and p as in calculateTotalMomentum
+ * (in 2D mode only Lz is non-zero)
+ * 
+ * Conserved when only central forces act: pair forces and gravity toward the center.
+ * Walls, external fields, ground gravity and the magnetic force exchange angular momentum
+ * with the outside, and positions that wrap around in periodic mode make it jump.
+ * 
+ * @param {Universe} universe - The universe instance
+ * @returns {Object} Angular momentum {x, y, z, magnitude}
+ */
+export function calculateTotalAngularMomentum(universe) {
+  const angularMomentum = { x: 0, y: 0, z: 0 };
+  const center = universe.size / 2;
+  
+  for (let particle of universe.particles) {
+    const p = calculateParticleMomentum(universe, particle);
+    const rx = particle.x - center;
+    const ry = particle.y - center;
+    const rz = universe.mode3D ? particle.z - center : 0;
+    angularMomentum.x += ry * p.z - rz * p.y;
+    angularMomentum.y += rz * p.x - rx * p.z;
+    angularMomentum.z += rx * p.y - ry * p.x;
+  }
+  
+  angularMomentum.magnitude = Math.sqrt(
+    angularMomentum.x * angularMomentum.x + angularMomentum.y * angularMomentum.y + angularMomentum.z * angularMomentum.z
+  );
+  return angularMomentum;
+}
+
+/**
+ * Momentum of one particle: γ × m × v (γ = 1 in classical mode), or E/c along the direction of motion for photons
+ */
+function calculateParticleMomentum(universe, particle) {
+  if (particle.isPhoton) {
+    const direction = universe.unitVector(particle.vx, particle.vy, particle.vz);
+    const photonMomentum = particle.energy / universe.speedOfLight;
+    return { x: photonMomentum * direction.x, y: photonMomentum * direction.y, z: photonMomentum * direction.z };
+  }
+  
+  const scale = universe.lorentzFactor(particle) * particle.mass;
+  return { x: scale * particle.vx, y: scale * particle.vy, z: universe.mode3D ? scale * particle.vz : 0 };
+}
+
 /**
  * Calculate total energy of the system
- * Total Energy = Kinetic Energy + Photon Energy + Electrostatic Potential Energy
+ * Total Energy = Kinetic Energy + Photon Energy + Potential Energy of each registered force
+ *   (electrostatic, strong, gravity, ...) + External Field Energy + Pair Potential Energy + Bond Energy
+ * 
+ * Energy dissipated by drag has left the system: it is reported separately (dragLoss),
+ * and total + dragLoss stays constant in a system without other losses.
  * 
  * @param {Universe} universe - The universe instance
  * @returns {Object} Object containing breakdown of energy components and total
  */
 export function calculateTotalEnergy(universe) {
   const kineticEnergy = calculateTotalKineticEnergy(universe);
+  const kineticBySpecies = calculateKineticEnergyBySpecies(universe);
   const photonEnergy = calculateTotalPhotonEnergy(universe);
-  const electrostaticEnergy = calculateTotalElectrostaticEnergy(universe);
-  const totalEnergy = kineticEnergy + photonEnergy + electrostaticEnergy;
+  const forceEnergies = {};
+  let forceEnergy = 0;
+  for (const force of FORCE_PLUGINS) {
+    forceEnergies[force.id] = calculateTotalForceEnergy(universe, force);
+    forceEnergy += forceEnergies[force.id];
+  }
+  const externalFieldEnergy = calculateTotalExternalFieldEnergy(universe);
+  const pairPotentialEnergy = calculateTotalPairPotentialEnergy(universe);
+  const bondEnergy = calculateTotalBondEnergy(universe);
+  const totalEnergy = kineticEnergy + photonEnergy + forceEnergy + externalFieldEnergy +
+    pairPotentialEnergy + bondEnergy;
   
   return {
     kinetic: kineticEnergy,
+    kineticBySpecies,
     photon: photonEnergy,
-    electrostatic: electrostaticEnergy,
+    forces: forceEnergies,
+    electrostatic: forceEnergies.electrostatic || 0,
+    strong: forceEnergies.strong || 0,
+    externalField: externalFieldEnergy,
+    pairPotential: pairPotentialEnergy,
+    bond: bondEnergy,
+    dragLoss: universe.dragEnergyLoss,
     total: totalEnergy
   };
 }
@@ -0,0 +1,179 @@
+/**
+ * Force plugin registry
+ *
+ * A force plugin gathers everything the simulation, the energy diagnostics and the
+ * Parameters card need to know about one force, so adding a force means registering
+ * a plugin here instead of editing Universe.computeForces, the setters and App.jsx.
+ *
+ * PLUGIN FIELDS:
+ * - id, label: registry key and display name
+ * - kind: 'pair' (acts between two particles, equal and opposite) or 'external'
+ *   (acts on each particle alone, e.g. a field or a fixed attractor)
+ * - range (pair forces): 'long' (every pair) or 'short' (only pairs closer than
+ *   Universe.shortRangeCutoff, found with the cell list)
+ * - interaction: species interaction a particle must take part in to feel the force
+ *   (see FORCES in species.js); pair forces need both particles to take part
+ * - parameters: values stored as Universe properties of the same name and set through
+ *   Universe.setParameters; each is {name, label, type: 'boolean' | 'number' | 'vector', default, scale, step, min}
+ *   ('vector' values are {x, y, z} objects)
+ *   - default: initial value in the UI (new parameters also start from it in the Universe)
+ *   - scale: simulation value = UI value × scale (1 when omitted)
+ * - enabledBy: name of the boolean parameter switching the force on (always on when omitted)
+ * - force(universe, p1, p2) / force(universe, particle): force {fx, fy, fz} on p1 / on the particle
+ * - energy(universe, p1, p2) / energy(universe, particle): matching potential energy
+ *   (short-range forces truncate and shift it at the cutoff, like their force)
+ * - accumulate(universe, forces, plugin): optional, replaces the default loop over all pairs
+ *   (the electrostatic force uses it to pick the pairwise loop or the Barnes-Hut tree)
+ * - describe(values): hint shown under the controls, from the UI parameter values
+ */
+
+export const FORCE_PLUGINS = [];
+
+/**
+ * Add a force to the registry (see the plugin fields above)
+ */
+export function registerForce(plugin) {
+  if (FORCE_PLUGINS.some(force => force.id === plugin.id)) {
+    throw new Error(`Force already registered: ${plugin.id}`);
+  }
+  FORCE_PLUGINS.push(plugin);
+}
+
+/**
+ * All parameters declared by the registered forces
+ */
+export function forceParameters() {
+  return FORCE_PLUGINS.flatMap(force => force.parameters);
+}
+
+/**
+ * Convert a parameter from its UI value to its simulation value
+ */
+export function toSimulationValue(parameter, value) {
+  return parameter.type === 'number' && parameter.scale ? value * parameter.scale : value;
+}
+
+/**
+ * Convert the UI values of all force parameters, keyed by name, to simulation values
+ */
+export function toSimulationParameters(values) {
+  return Object.fromEntries(
+    forceParameters().map(parameter => [parameter.name, toSimulationValue(parameter, values[parameter.name])])
+  );
+}
+
+/**
+ * Convert a parameter from its simulation value back to its UI value
+ * (rounded so that e.g. 10 × 1e-6 / 1e-6 reads 10 again)
+ */
+export function fromSimulationValue(parameter, value) {
+  return parameter.type === 'number' && parameter.scale ? Number((value / parameter.scale).toPrecision(12)) : value;
+}
+
+registerForce({
+  id: 'electrostatic',
+  label: 'Electrostatic Force',
+  kind: 'pair',
+  range: 'long',
+  interaction: 'electromagnetic',
+  parameters: [
+    { name: 'electrostaticCoefficient', label: 'Electrostatic Force Coefficient (K_electro)', type: 'number', default: 10, scale: 1e-6, step: 0.1 },
+    { name: 'softeningLength', label: 'Softening Length (ε)', type: 'number', default: 0.1, step: 0.01, min: 0 },
+  ],
+  force: (universe, p1, p2) => universe.calculateElectrostaticForce(p1, p2),
+  energy: (universe, p1, p2) => universe.calculateElectrostaticEnergy(p1, p2),
+  accumulate(universe, forces, plugin) {
+    if (universe.forceSolver === 'barnesHut') {
+      universe.accumulateBarnesHutForces(forces);
+    } else {
+      universe.accumulatePairwiseForces(forces, plugin);
+    }
+  },
+  describe: ({ electrostaticCoefficient, softeningLength }) => softeningLength > 0
+    ? `F = ${electrostaticCoefficient}e-6 × q₁q₂ / (r² + ${softeningLength}²), potential energy atan(ε / r) / ε to match`
+    : `F = ${electrostaticCoefficient}e-6 × q₁q₂ / r², energy 1 / r (close encounters need a small dt)`,
+});
+
+registerForce({
+  id: 'strong',
+  label: 'Strong Force',
+  kind: 'pair',
+  range: 'short',
+  interaction: 'strong',
+  enabledBy: 'strongForceEnabled',
+  parameters: [
+    { name: 'strongForceEnabled', label: 'Strong Force', type: 'boolean', default: true },
+    { name: 'strongForceCoefficient', label: 'Strong Force Coefficient (K_strong)', type: 'number', default: 10, step: 0.1, min: 0 },
+  ],
+  force: (universe, p1, p2) => universe.calculateStrongForce(p1, p2),
+  energy: (universe, p1, p2) => universe.calculateStrongEnergy(p1, p2),
+  describe: ({ strongForceCoefficient }) => `Short-range repulsion: F = ${strongForceCoefficient}e-10 / r⁴`,
+});
+
+registerForce({
+  id: 'gravity',
+  label: 'Gravitational Force',
+  kind: 'external',
+  interaction: 'gravity',
+  enabledBy: 'gravityEnabled',
+  parameters: [
+    { name: 'gravityEnabled', label: 'Gravitational Force', type: 'boolean', default: true },
+    { name: 'gravityCoefficient', label: 'Gravity Coefficient (K_gravity)', type: 'number', default: 10, step: 0.1, min: 0 },
+    { name: 'gravityCenter', label: 'Gravity Center', type: 'vector', default: { x: 0.5, y: 0.5, z: 0.5 }, step: 0.05 },
+  ],
+  force: (universe, particle) => universe.calculateGravityForce(particle),
+  // Constant pull toward the center: U = mass × K_gravity × 1e-6 × distance to the center
+  energy: (universe, particle) => universe.calculateGravityEnergy(particle),
+  describe: ({ gravityCoefficient, gravityCenter: { x, y, z } }) =>
+    `Attraction to center: F = mass × ${gravityCoefficient}e-6 (toward ${x}, ${y}, ${z})`,
+});
+
+registerForce({
+  id: 'nBodyGravity',
+  label: 'Mutual Gravity (N-body)',
+  kind: 'pair',
+  range: 'long',
+  interaction: 'gravity',
+  enabledBy: 'nBodyGravityEnabled',
+  parameters: [
+    { name: 'nBodyGravityEnabled', label: 'Mutual Gravity (N-body)', type: 'boolean', default: false },
+    { name: 'gravitationalConstant', label: 'Gravitational Constant (G)', type: 'number', default: 2, scale: 1e-8, step: 0.1, min: 0 },
+    { name: 'gravitySoftening', label: 'Gravity Softening Length (ε)', type: 'number', default: 0.01, step: 0.005, min: 0 },
+  ],
+  force: (universe, p1, p2) => universe.calculateNBodyGravityForce(p1, p2),
+  energy: (universe, p1, p2) => universe.calculateNBodyGravityEnergy(p1, p2),
+  describe: ({ gravitationalConstant, gravitySoftening }) =>
+    `Attraction between every pair: F = ${gravitationalConstant}e-8 × m₁m₂ / (r² + ${gravitySoftening}²), exact O(n²) sum whatever the solver`,
+});
+
+registerForce({
+  id: 'groundGravity',
+  label: 'Ground Gravity',
+  kind: 'external',
+  interaction: 'gravity',
+  enabledBy: 'groundGravityEnabled',
+  parameters: [
+    { name: 'groundGravityEnabled', label: 'Ground Gravity', type: 'boolean', default: false },
+    { name: 'groundGravityCoefficient', label: 'Ground Gravity Coefficient (K_ground_gravity)', type: 'number', default: 10, step: 0.1, min: 0 },
+    { name: 'groundGravityDirection', label: 'Ground Gravity Direction', type: 'vector', default: { x: 0, y: 1, z: 0 }, step: 0.1 },
+  ],
+  force: (universe, particle) => universe.calculateGroundGravityForce(particle),
+  // Uniform pull: U = mass × K_ground_gravity × 1e-6 × height above the ground the pull points to
+  energy: (universe, particle) => universe.calculateGroundGravityEnergy(particle),
+  describe: ({ groundGravityCoefficient, groundGravityDirection: { x, y, z } }) =>
+    `Uniform pull: F = mass × ${groundGravityCoefficient}e-6 along (${x}, ${y}, ${z}) (y=1 is the bottom of the canvas)`,
+});
+
+registerForce({
+  id: 'attractors',
+  label: 'Attractors',
+  kind: 'external',
+  interaction: 'gravity',
+  enabledBy: 'attractorsEnabled',
+  parameters: [
+    { name: 'attractorsEnabled', label: 'Attractors', type: 'boolean', default: true },
+  ],
+  force: (universe, particle) => universe.calculateAttractorForce(particle),
+  energy: (universe, particle) => universe.calculateAttractorEnergy(particle),
+  describe: () => 'Gravity wells placed with the attractor tool of the draw mode (see Attractors below)',
+});
@@ -3,9 +3,175 @@
  */
 
 import { config } from './config.js';
+import { BarnesHutTree } from './barnesHut.js';
+import { CellList } from './cellList.js';
+import { Random } from './random.js';
+import { calculateTemperature, calculateTotalAngularMomentum, calculateTotalEnergy, calculateTotalMomentum } from './energy.js';
+import { BUILT_IN_SPECIES, createSpeciesRegistry, inferSpecies } from './species.js';
+import { SPECTRUM_BIN_COUNT, photonWavelength, spectrumBin } from './spectrum.js';
+import { attractorWell, coulomb, lennardJones, morse, strongRepulsion } from './potentials.js';
+import { FORCE_PLUGINS, forceParameters, toSimulationValue } from './forces.js';
+
+const MAX_CONSERVATION_SAMPLES = 300; // Oldest samples of the energy and momentum history are dropped beyond this
+
+/**
+ * Available time integration schemes for Universe.step
+ * - euler: semi-implicit (symplectic) Euler, the original scheme and the default (one force evaluation per step)
+ * - velocityVerlet: second order, symplectic, two force evaluations per step
+ * - leapfrog: second order, symplectic drift-kick-drift, one force evaluation per step
+ * - rk4: classical fourth order Runge-Kutta, four force evaluations per step (not symplectic)
+ * - boris: leapfrog with an exact rotation of the velocity in the magnetic field (Boris push)
+ */
+export const INTEGRATORS = [
+  { id: 'euler', label: 'Semi-implicit Euler' },
+  { id: 'velocityVerlet', label: 'Velocity Verlet' },
+  { id: 'leapfrog', label: 'Leapfrog (drift-kick-drift)' },
+  { id: 'rk4', label: 'Runge-Kutta 4' },
+  { id: 'boris', label: 'Boris push (magnetic fields)' },
+];
+
+/**
+ * Available solvers for the long-range electrostatic force
+ * - pairwise: exact O(n²) double loop (reference for validation)
+ * - barnesHut: O(n log n) quadtree (2D) / octree (3D) approximation, see barnesHut.js
+ * Other long-range pair forces (mutual gravity) always use the exact pairwise loop.
+ */
+export const FORCE_SOLVERS = [
+  { id: 'pairwise', label: 'Exact pairwise (O(n²))' },
+  { id: 'barnesHut', label: 'Barnes-Hut tree (O(n log n))' },
+];
+
+/**
+ * Available drag models of the viscous medium (see Universe.applyDrag)
+ * - linear: Stokes drag F = -γ v (slow motion through a viscous fluid)
+ * - quadratic: F = -γ |v| v (fast motion, turbulent wake)
+ */
+export const DRAG_MODELS = [
+  { id: 'linear', label: 'Linear (Stokes)' },
+  { id: 'quadratic', label: 'Quadratic' },
+];
+
+/**
+ * Available photon emission models (see Universe.checkAndEmitPhotons)
+ * - speedThreshold: radiating species (electrons, positrons) randomly emit above a speed threshold (original behaviour)
+ * - larmor: every mobile charge radiates the Larmor power of its acceleration, one photon per energy quantum
+ */
+export const EMISSION_MODELS = [
+  { id: 'speedThreshold', label: 'Speed threshold (legacy)' },
+  { id: 'larmor', label: 'Larmor radiation' },
+];
+
+/**
+ * Available thermostats holding the mobile particles at targetTemperature (see Universe.applyThermostat)
+ * - none: isolated system, energy is conserved
+ * - berendsen: rescale all velocities toward the target temperature (fast, but no true canonical ensemble)
+ * - langevin: friction plus random kicks on every particle (stochastic, canonical ensemble)
+ * - noseHoover: one friction variable driven by the temperature error (deterministic, canonical ensemble)
+ */
+export const THERMOSTATS = [
+  { id: 'none', label: 'None (constant energy)' },
+  { id: 'berendsen', label: 'Berendsen rescaling' },
+  { id: 'langevin', label: 'Langevin' },
+  { id: 'noseHoover', label: 'Nosé–Hoover' },
+];
+
+/**
+ * Available boundary conditions of the universe box
+ * - walls: photons reflect, massive particles stick to the wall (original behaviour)
+ * - periodic: toroidal box, particles wrap around and forces use the minimum-image convention
+ */
+export const BOUNDARY_MODES = [
+  { id: 'walls', label: 'Walls' },
+  { id: 'periodic', label: 'Periodic (toroidal)' },
+];
+
+/**
+ * Available shapes of external electric fields (see Universe.calculateExternalElectricField)
+ * - uniform: constant field E everywhere
+ * - gradient: E plus a component along one axis growing linearly with the coordinate on that axis
+ * - region: constant field E inside a rectangle (box in 3D), zero outside (e.g. deflection plates)
+ */
+export const EXTERNAL_FIELD_TYPES = [
+  { id: 'uniform', label: 'Uniform' },
+  { id: 'gradient', label: 'Linear gradient' },
+  { id: 'region', label: 'Region (rectangle / box)' },
+];
+
+/**
+ * Available falloff laws of attractors (see Universe.calculateAttractorForce and attractorWell in potentials.js)
+ * - constant: same pull at any distance, like the central gravity
+ * - inverse: pull ∝ 1/r
+ * - inverseSquare: pull ∝ 1/r², a Newtonian point mass
+ * - harmonic: pull ∝ r, a spring toward the attractor
+ */
+export const ATTRACTOR_FALLOFFS = [
+  { id: 'constant', label: 'Constant' },
+  { id: 'inverse', label: '1 / r' },
+  { id: 'inverseSquare', label: '1 / r²' },
+  { id: 'harmonic', label: 'Harmonic (∝ r)' },
+];
+
+/**
+ * Available motions of attractors (see Universe.attractorPosition)
+ * - fixed: stays at its position
+ * - circle: turns around its position at pathRadius, one turn per pathPeriod
+ * - line: oscillates through its position along the pathAngle direction, amplitude pathRadius
+ */
+export const ATTRACTOR_PATHS = [
+  { id: 'fixed', label: 'Fixed' },
+  { id: 'circle', label: 'Circle' },
+  { id: 'line', label: 'Back and forth' },
+];
+
+/**
+ * Available pair potentials between two species (see Universe.calculatePairPotentialForce)
+ * - lennardJones: U = 4ε [(σ/r)¹² - (σ/r)⁶], steep repulsive core and a weak attractive well (noble gases)
+ * - morse: U = D [(1 - e^(-a (r - r₀)))² - 1], anharmonic well of depth D at r₀ (diatomic molecules)
+ */
+export const PAIR_POTENTIALS = [
+  { id: 'lennardJones', label: 'Lennard-Jones' },
+  { id: 'morse', label: 'Morse' },
+];
+
+/**
+ * Available bond potentials between two particles (see Universe.calculateBondForce)
+ * - harmonic: spring with a rest length, U = ½ k (r - r₀)²
+ * - fene: finitely extensible nonlinear elastic bond that can never stretch past its maximum length
+ */
+export const BOND_TYPES = [
+  { id: 'harmonic', label: 'Harmonic spring' },
+  { id: 'fene', label: 'FENE (finite extensible)' },
+];
+
+/**
+ * Walls of the universe box, as keys of Universe.wallModes (z walls are used in 3D only)
+ */
+export const WALLS = [
+  { id: 'xMin', label: 'Left (x = 0)' },
+  { id: 'xMax', label: 'Right (x = size)' },
+  { id: 'yMin', label: 'Top (y = 0)' },
+  { id: 'yMax', label: 'Bottom (y = size)' },
+  { id: 'zMin', label: 'Back (z = 0)' },
+  { id: 'zMax', label: 'Front (z = size)' },
+];
+
+/**
+ * Available wall behaviours for electrons and protons (photons always reflect)
+ * - sticky: the particle stops at the wall (original behaviour, destroys kinetic energy)
+ * - elastic: mirror reflection, kinetic energy is conserved
+ * - restitution: reflection keeping a fraction (wallRestitution) of the normal velocity
+ * - absorbing: the particle is removed from the universe
+ */
+export const WALL_MODES = [
+  { id: 'sticky', label: 'Sticky' },
+  { id: 'elastic', label: 'Elastic reflect' },
+  { id: 'restitution', label: 'Reflect with restitution' },
+  { id: 'absorbing', label: 'Absorbing' },
+];
 
 export class Particle {
-  constructor(x, y, vx, vy, charge, mass, fixed = false, z = 0.5, vz = 0, isPhoton = false, energy = 0) {
+  constructor(x, y, vx, vy, charge, mass, fixed = false, z = 0.5, vz = 0, isPhoton = false, energy = 0,
+    radius = null, species = null) {
     this.x = x;
     this.y = y;
     this.z = z; // Z coordinate (default 0.5 for 2D mode)
@@ -16,9 +182,14 @@ export class Particle {
     this.mass = mass;
     this.fixed = fixed;
     this.isPhoton = isPhoton; // Flag for electromagnetic particles (photons)
+    this.species = species ?? inferSpecies(charge, isPhoton); // Species id (see species.js)
+    this.radius = radius ?? BUILT_IN_SPECIES[this.species]?.radius ?? 0; // Hard-sphere radius used by collisions (0 = point particle)
     this.energy = energy; // Energy for photons
     this.age = 0; // Age in simulation steps (for photons)
     this.hasEmittedPhoton = false; // Track if this electron has already emitted a photon
+    this.radiatedEnergy = 0; // Larmor energy radiated but not yet emitted as a photon
+    this.absorbed = false; // Set by an absorbing wall, the particle is removed at the end of the step
+    this.id = null; // Stable id given by Universe.addParticle, used by bonds and angles
     // Force tracking for diagnostics
     this.forceElectroX = 0;
     this.forceElectroY = 0;
@@ -27,34 +198,348 @@ export class Particle {
     this.accelerationY = 0;
     this.accelerationZ = 0;
   }
+
+  /**
+   * Recreate a particle from a plain object (e.g. received from another thread or a file)
+   *
+   * @param {Object} data - Particle fields, as produced by copying a Particle
+   * @returns {Particle} New particle with the same fields
+   */
+  static fromData(data) {
+    // Particles saved before species and radii existed get the defaults of their inferred species
+    const particle = new Particle(0, 0, 0, 0, data.charge ?? 0, 0, false, 0.5, 0, data.isPhoton ?? false);
+    return Object.assign(particle, data);
+  }
+
+  /**
+   * Create a particle with the defaults of a species
+   *
+   * @param {Object} species - Species definition (see species.js)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - {z, vx, vy, vz, charge, fixed}, each defaulting to the species / a particle at rest
+   * @returns {Particle} New particle
+   */
+  static fromSpecies(species, x, y, { z = 0.5, vx = 0, vy = 0, vz = 0, charge = species.charge, fixed = false } = {}) {
+    return new Particle(x, y, vx, vy, charge, species.mass, fixed, z, vz, species.isPhoton, 0, species.radius, species.id);
+  }
 }
 
 export class Universe {
   constructor(size = 1.0, electrostaticCoefficient = 1e-3) {
     this.size = size; // Universe is size x size (x size for 3D)
     this.electrostaticCoefficient = electrostaticCoefficient; // K_electro
+    this.softeningLength = 0.1; // ε: Coulomb force softened as 1 / (r² + ε²), 0 for the plain 1 / r² (see potentials.js)
     this.electronMass = 1; // Electron mass (constant)
     this.photonEmissionSpeedThreshold = 1e-3; // Speed threshold for photon emission
     this.photonAbsorptionDistance = 3*1e-3; // Distance threshold for photon-electron collision
     this.photonMinAgeForAbsorption = 100; // Minimum photon age (steps) before it can be absorbed
+    this.photonEmissionModel = 'speedThreshold'; // When charges emit photons (see EMISSION_MODELS)
+    this.larmorCoefficient = 0.01; // K_larmor scaling of the Larmor power (1 = physical value for K_electro and c)
+    this.larmorPhotonEnergy = 1e-6; // Energy of each photon emitted in Larmor mode
+    this.planckConstant = 1.5; // h (energy × s × nm / U): photon wavelength λ = h·c / E in nm, visible for E ≈ 2e-5 to 4e-5 at c = 0.01
+    this.photonSpectrum = this.createPhotonSpectrum(); // Counts of emitted / absorbed photons per wavelength bin (see spectrum.js)
+    this.photonMomentumConservation = false; // Photons carry momentum E/c and the nearest particle takes up the recoil (see exchangePhotonMomentum)
     this.staticProtons = true; // Protons are static by default
+    this.customSpecies = []; // User-defined species (see species.js)
+    this.species = createSpeciesRegistry(); // Built-in and user-defined species keyed by id
     this.strongForceEnabled = false; // Strong force disabled by default
     this.strongForceCoefficient = 10; // K_strong coefficient (default 10)
+    this.pairPotentials = []; // Pair potentials {type, speciesA, speciesB, epsilon, sigma, depth, alpha, equilibrium} between species, energies in units of 1e-6 (see PAIR_POTENTIALS)
     this.gravityEnabled = false; // Gravity disabled by default
     this.gravityCoefficient = 10; // K_gravity coefficient (default 10)
+    this.gravityCenter = { x: 0.5, y: 0.5, z: 0.5 }; // Point the central gravity pulls toward (center of the universe by default)
     this.groundGravityEnabled = false; // Ground gravity disabled by default
     this.groundGravityCoefficient = 10; // K_ground_gravity coefficient (default 10)
+    this.groundGravityDirection = { x: 0, y: 1, z: 0 }; // Direction of the ground gravity pull (toward y=1 by default, normalized when used)
+    this.attractorsEnabled = true; // Attractors pull the particles taking part in gravity
+    this.attractors = []; // User-placed attractors {x, y, z, strength, falloff, softening, path, pathRadius, pathPeriod, pathAngle}, strengths in units of 1e-6 (see ATTRACTOR_FALLOFFS, ATTRACTOR_PATHS)
+    this.nBodyGravityEnabled = false; // Mutual Newtonian gravity between all massive particles, disabled by default
+    this.gravitationalConstant = 2e-8; // G of the mutual gravity F = G × m₁ × m₂ / (r² + ε²)
+    this.gravitySoftening = 0.01; // ε of the mutual gravity, keeps close passes finite (0 for the plain 1 / r²)
     this.mode3D = false; // 3D mode disabled by default
+    this.boundaryMode = 'walls'; // Boundary conditions (see BOUNDARY_MODES)
+    this.magneticField = { x: 0, y: 0, z: 0 }; // Uniform external magnetic field B (only Bz bends in-plane motion in 2D)
+    this.movingChargeMagneticField = false; // Add the magnetic field produced by moving charges (Biot-Savart)
+    this.magneticCoefficient = 1e-6; // K_magnetic coefficient of the moving-charge field
+    this.externalElectricFields = []; // User-defined external electric fields, strengths in units of 1e-6 (see EXTERNAL_FIELD_TYPES)
+    this.wallModes = { xMin: 'sticky', xMax: 'sticky', yMin: 'sticky', yMax: 'sticky', zMin: 'sticky', zMax: 'sticky' }; // Behaviour of each wall for massive particles (see WALLS, WALL_MODES)
+    this.wallRestitution = 0.8; // Fraction of the normal velocity kept when bouncing off a 'restitution' wall
     this.particles = [];
+    this.nextParticleId = 0; // Id given to the next particle added without one
+    this.bonds = []; // Pair bonds {type, a, b, stiffness, restLength, maxLength} between particle ids (see BOND_TYPES)
+    this.angles = []; // Angle terms {a, b, c, stiffness, restAngle} between particle ids, b being the vertex
     this.dt = 0.01; // Time step for simulation
+    this.speedOfLight = 0.01; // Speed of light c: photons always move at exactly c
+    this.relativistic = false; // Relativistic momentum update (p = γ m v) for massive particles, which then stay below c
+    this.integrator = 'euler'; // Time integration scheme (see INTEGRATORS), the cheapest by default
+    this.adaptiveTimeStep = false; // Adaptive time stepping disabled by default
+    this.maxDt = 0.01; // Largest time step in adaptive mode (dt is reset to it when adaptive mode is disabled)
+    this.minDt = 1e-6; // Smallest time step in adaptive mode
+    this.accelerationTolerance = 1e-4; // Max displacement due to acceleration per step |a| × dt² (U), 1% of an electron radius
+    this.closeEncounterTolerance = 0.1; // Max fraction of a pair distance that the pair may close in one step
+    this.rejectedSteps = 0; // Number of adaptive steps rejected and retried with a smaller dt
+    this.simulationTime = 0; // Elapsed simulation time
+    this.forceSolver = 'pairwise'; // Electrostatic force solver (see FORCE_SOLVERS)
+    this.barnesHutTheta = 0.5; // Barnes-Hut opening angle (0 = exact, larger = faster and less accurate)
+    this.barnesHutCheck = null; // Last comparison of the Barnes-Hut forces with the exact sum (see checkBarnesHutAccuracy)
+    this.shortRangeCutoff = 0.1; // Cutoff radius for short-range forces (strong force, pair potentials), evaluated with a cell list
+    this.seed = 1; // Seed of the random number generator
+    this.random = new Random(this.seed); // Source of randomness for every stochastic process
+    this.stepCount = 0; // Number of steps performed
+    this.conservationSampleInterval = 100; // Steps between two samples of the energy and momentum history
+    this.conservationHistory = []; // Energy and momentum samples since the last reset (see sampleConservation)
+    this.conservationReference = null; // First sample since the last reset, kept when the history drops it
+    this.collisionsEnabled = false; // Hard-sphere collisions between particles with a radius
+    this.collisionRestitution = 1; // Fraction of the normal relative velocity kept by a collision (1 = elastic)
+    this.collisionCount = 0; // Number of collisions resolved
+    this.thermostat = 'none'; // Heat bath coupled to the mobile particles (see THERMOSTATS)
+    this.targetTemperature = 1e-7; // Temperature T₀ the thermostat holds (k_B = 1, see calculateTemperature)
+    this.thermostatTimeConstant = 1; // Relaxation time τ of the thermostat (Langevin friction γ = 1/τ)
+    this.thermostatFriction = 0; // Nosé–Hoover friction variable ξ
+    this.dragEnabled = false; // Viscous medium slowing the mobile particles down
+    this.dragModel = 'linear'; // Drag law (see DRAG_MODELS)
+    this.dragCoefficients = {}; // Drag coefficient γ keyed by species id (missing species feel no drag)
+    this.dragRegions = []; // Boxes {minX, maxX, minY, maxY, minZ, maxZ} filled with the medium (none = the whole universe)
+    this.dragEnergyLoss = 0; // Kinetic energy dissipated by drag since the universe was created
+
+    // Parameters of registered forces that have no default above start from their UI default (see forces.js)
+    for (let parameter of forceParameters()) {
+      if (!(parameter.name in this)) {
+        this[parameter.name] = toSimulationValue(parameter, parameter.default);
+      }
+    }
   }
 
   addParticle(particle) {
+    // Every particle gets a stable id, so bonds survive removals from the particles array
+    if (particle.id === null || particle.id === undefined) {
+      particle.id = this.nextParticleId++;
+    } else {
+      this.nextParticleId = Math.max(this.nextParticleId, particle.id + 1);
+    }
     this.particles.push(particle);
   }
 
+  /**
+   * Add a bond between two particles
+   *
+   * A missing rest length is taken from the current distance (the bond starts relaxed),
+   * a missing FENE maximum length is 1.5 × the current distance.
+   *
+   * @param {Object} bond - {type, a, b, stiffness, restLength, maxLength} with a and b particle ids
+   */
+  addBond(bond) {
+    const indexById = this.particleIndexById();
+    const p1 = this.particles[indexById.get(bond.a)];
+    const p2 = this.particles[indexById.get(bond.b)];
+    if (!p1 || !p2 || p1 === p2) return;
+
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    this.bonds.push({
+      ...bond,
+      type: bond.type ?? 'harmonic',
+      restLength: bond.restLength ?? distance,
+      maxLength: bond.maxLength ?? 1.5 * distance
+    });
+  }
+
+  /**
+   * Add an angle term between three particles
+   *
+   * A missing rest angle is taken from the current angle.
+   *
+   * @param {Object} angle - {a, b, c, stiffness, restAngle} with particle ids, b being the vertex
+   */
+  addAngle(angle) {
+    const indexById = this.particleIndexById();
+    const particles = [angle.a, angle.b, angle.c].map(id => this.particles[indexById.get(id)]);
+    if (particles.includes(undefined) || new Set(particles).size < 3) return;
+
+    const measured = this.measureAngle(...particles);
+    if (!measured) return;
+
+    this.angles.push({ ...angle, restAngle: angle.restAngle ?? measured.theta });
+  }
+
+  /**
+   * Map each particle id to the particle's index in this.particles
+   */
+  particleIndexById() {
+    const indexById = new Map();
+    this.particles.forEach((particle, index) => indexById.set(particle.id, index));
+    return indexById;
+  }
+
+  /**
+   * Drop bonds and angles that refer to removed particles
+   */
+  pruneBonds() {
+    if (this.bonds.length === 0 && this.angles.length === 0) return;
+
+    const ids = new Set(this.particles.map(particle => particle.id));
+    this.bonds = this.bonds.filter(bond => ids.has(bond.a) && ids.has(bond.b));
+    this.angles = this.angles.filter(angle => ids.has(angle.a) && ids.has(angle.b) && ids.has(angle.c));
+  }
+
   removeAllElectrons() {
-    this.particles = this.particles.filter(p => p.charge > 0);
+    this.particles = this.particles.filter(p => p.species !== 'electron');
+    this.pruneBonds();
+  }
+
+  /**
+   * Check whether a particle takes part in an interaction (see FORCES in species.js)
+   *
+   * @param {Particle} particle - Particle to check
+   * @param {string} force - 'electromagnetic', 'strong' or 'gravity'
+   * @returns {boolean} True if the particle's species feels the interaction
+   */
+  takesPart(particle, force) {
+    if (particle.isPhoton) return false;
+    const species = this.species[particle.species];
+    return species ? species.forces[force] !== false : true;
+  }
+
+  /**
+   * Check whether a particle emits and absorbs photons
+   * - speedThreshold model: species flagged as radiating (electrons and positrons by default)
+   * - larmor model: every mobile charge taking part in electromagnetism
+   */
+  radiates(particle) {
+    if (particle.isPhoton) return false;
+    if (this.photonEmissionModel === 'larmor') {
+      return particle.charge !== 0 && this.isMobile(particle) && this.takesPart(particle, 'electromagnetic');
+    }
+    return this.species[particle.species]?.radiates ?? false;
+  }
+
+  /**
+   * Remove particles outside a rectangle of the X-Y plane
+   *
+   * @param {Object} bounds - {minX, maxX, minY, maxY}
+   */
+  removeParticlesOutside({ minX, maxX, minY, maxY }) {
+    this.particles = this.particles.filter(particle => {
+      return particle.x >= minX && particle.x <= maxX &&
+             particle.y >= minY && particle.y <= maxY;
+    });
+    this.pruneBonds();
+  }
+
+  /**
+   * Apply several parameters at once through their setters
+   *
+   * Each key maps to the matching setter, e.g. {integrator: 'rk4'} calls
+   * setIntegrator('rk4'). Parameters declared by force plugins (see forces.js), e.g.
+   * {gravityEnabled: true}, are stored directly. Used by the simulation worker to apply UI changes.
+   *
+   * @param {Object} parameters - Parameter values keyed by name
+   */
+  setParameters(parameters) {
+    const forceParameterNames = new Set(forceParameters().map(parameter => parameter.name));
+    const setterName = name => `set${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+    // Check every name first, so a batch with an unknown name changes nothing
+    const unknown = Object.keys(parameters).filter(name =>
+      typeof this[setterName(name)] !== 'function' && !forceParameterNames.has(name)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown universe parameter${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+
+    for (const [name, value] of Object.entries(parameters)) {
+      const setter = setterName(name);
+      if (typeof this[setter] === 'function') {
+        this[setter](value);
+      } else {
+        this[name] = value;
+      }
+    }
+  }
+
+  /**
+   * Check whether a registered force currently acts (see the enabledBy field in forces.js)
+   */
+  isForceEnabled(force) {
+    return !force.enabledBy || Boolean(this[force.enabledBy]);
+  }
+
+  /**
+   * Registered forces that currently act
+   *
+   * @param {string} kind - 'pair' or 'external'
+   * @param {string} range - For pair forces, 'long' or 'short' (any range when omitted)
+   * @returns {Array<Object>} Force plugins (see forces.js)
+   */
+  enabledForces(kind, range = null) {
+    return FORCE_PLUGINS.filter(force =>
+      force.kind === kind && (range === null || force.range === range) && this.isForceEnabled(force)
+    );
+  }
+
+  /**
+   * Copy the state needed to render and diagnose the universe
+   *
+   * The result only contains plain data, so it can be posted between threads.
+   *
+   * @returns {Object} Snapshot with particles, physical settings and time step statistics
+   */
+  toSnapshot() {
+    return {
+      particles: this.particles.map(particle => ({ ...particle })),
+      size: this.size,
+      mode3D: this.mode3D,
+      relativistic: this.relativistic,
+      speedOfLight: this.speedOfLight,
+      boundaryMode: this.boundaryMode,
+      magneticField: { ...this.magneticField },
+      movingChargeMagneticField: this.movingChargeMagneticField,
+      magneticCoefficient: this.magneticCoefficient,
+      electrostaticCoefficient: this.electrostaticCoefficient,
+      softeningLength: this.softeningLength,
+      attractors: this.attractors,
+      attractorPositions: this.attractors.map(attractor => this.attractorPosition(attractor)),
+      dt: this.dt,
+      rejectedSteps: this.rejectedSteps,
+      simulationTime: this.simulationTime,
+      stepCount: this.stepCount,
+      collisionCount: this.collisionCount,
+      temperature: calculateTemperature(this),
+      momentum: calculateTotalMomentum(this),
+      dragEnergyLoss: this.dragEnergyLoss,
+      planckConstant: this.planckConstant,
+      photonSpectrum: {
+        emitted: [...this.photonSpectrum.emitted],
+        absorbed: [...this.photonSpectrum.absorbed]
+      },
+      thermostatFriction: this.thermostatFriction,
+      bonds: this.bonds.map(bond => ({ ...bond })),
+      angles: this.angles.map(angle => ({ ...angle })),
+      conservationHistory: this.conservationHistory.map(sample => ({ ...sample })),
+      conservationReference: this.conservationReference && { ...this.conservationReference },
+      barnesHutCheck: this.barnesHutCheck && { ...this.barnesHutCheck },
+      seed: this.seed,
+      randomState: this.random.state,
+    };
+  }
+
+  /**
+   * Apply the minimum-image convention to one component of a displacement
+   *
+   * In periodic mode a particle interacts with the nearest periodic image of
+   * every other particle, so displacements are folded into [-size/2, size/2].
+   * With walls, the displacement is returned unchanged.
+   *
+   * @param {number} d - Displacement component (e.g. p2.x - p1.x)
+   * @returns {number} Displacement to the nearest image
+   */
+  minimumImage(d) {
+    if (this.boundaryMode !== 'periodic') return d;
+    return d - this.size * Math.round(d / this.size);
   }
 
   /**
@@ -67,11 +552,13 @@ export class Universe {
    *    - dx = p2.x - p1.x, dy = p2.y - p1.y, dz = p2.z - p1.z (if 3D)
    *    - distance² = dx² + dy² + dz²
    * 
-   * 2. FORCE MAGNITUDE: F = -(K_electro * q1 * q2) / r²
+   * 2. FORCE MAGNITUDE: F = -(K_electro * q1 * q2) / (r² + ε²)
    *    - Negative sign: opposite charges attract, like charges repel
    *    - K_electro: electrostatic coefficient (scaling factor)
    *    - q1, q2: charges of particles (positive for protons, negative for electrons)
    *    - r²: squared distance (inverse square law)
+   *    - ε: softening length, keeps the force finite when charges meet; the matching
+   *      potential energy is defined alongside it (see potentials.js, calculateElectrostaticEnergy)
    * 
    * 3. FORCE DIRECTION: Normalized direction vector from p1 to p2
    *    - Unit vector = (dx, dy, dz) / distance
@@ -82,16 +569,32 @@ export class Universe {
    * @returns {Object} Force vector {fx, fy, fz} acting on p1 due to p2
    */
   calculateElectrostaticForce(p1, p2) {
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const dz = this.mode3D ? (p2.z - p1.z) : 0;
+    return this.calculateElectrostaticForceFromCharge(p1, p2.charge, p2.x, p2.y, p2.z);
+  }
 
-    const distanceSquared = dx * dx + dy * dy + dz * dz;
-    const distance = Math.sqrt(distanceSquared);
+  /**
+   * Calculate electrostatic force on a particle due to a point charge
+   *
+   * Same law as calculateElectrostaticForce, with the source given as a charge and
+   * a position. Used by the Barnes-Hut solver for aggregated groups of charges.
+   *
+   * @param {Particle} p1 - Particle on which the force acts
+   * @param {number} charge - Source charge
+   * @param {number} x - Source X position
+   * @param {number} y - Source Y position
+   * @param {number} z - Source Z position
+   * @returns {Object} Force vector {fx, fy, fz} acting on p1
+   */
+  calculateElectrostaticForceFromCharge(p1, charge, x, y, z) {
+    const dx = this.minimumImage(x - p1.x);
+    const dy = this.minimumImage(y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(z - p1.z) : 0;
+
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
-    // Coulomb's law: F = -(K_electro * q1 * q2) / r²
+    // Softened Coulomb's law: F = -(K_electro * q1 * q2) / (r² + ε²)
     // Negative sign: opposite charges attract, like charges repel
-    const electrostaticForceMagnitude = -(this.electrostaticCoefficient * p1.charge * p2.charge) / (distanceSquared + 0.01);
+    const electrostaticForceMagnitude = -coulomb(distance, this.electrostaticCoefficient * p1.charge * charge, this.softeningLength).force;
 
     // Calculate force direction (normalized)
     const fx = electrostaticForceMagnitude * (dx / distance);
@@ -101,6 +604,20 @@ export class Universe {
     return { fx, fy, fz };
   }
 
+  /**
+   * Calculate the electrostatic potential energy of two particles
+   * U = K_electro × q1 × q2 × atan(ε / r) / ε, the potential of the softened force
+   * (K_electro × q1 × q2 / r without softening, see potentials.js)
+   */
+  calculateElectrostaticEnergy(p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    return coulomb(distance, this.electrostaticCoefficient * p1.charge * p2.charge, this.softeningLength).energy;
+  }
+
   /**
    * Calculate strong force (short-range repulsion) between two particles
    * 
@@ -131,17 +648,15 @@ export class Universe {
    * @returns {Object} Force vector {fx, fy, fz} acting on p1 due to p2
    */
   calculateStrongForce(p1, p2) {
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const dz = this.mode3D ? (p2.z - p1.z) : 0;
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
 
-    const distanceSquared = dx * dx + dy * dy + dz * dz;
-    const distance = Math.sqrt(distanceSquared);
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
-    // Strong force: F = (K_strong * 1e-10) / r⁴
+    // Strong force: F = (K_strong * 1e-10) / r⁴ (see potentials.js)
     // Always repulsive (positive magnitude)
-    const distanceQuartic = distanceSquared * distanceSquared; // r⁴
-    const strongForceMagnitude = (this.strongForceCoefficient * 1e-10) / (distanceQuartic);
+    const strongForceMagnitude = strongRepulsion(distance, this.strongForceCoefficient * 1e-10).force;
 
     // Calculate force direction (normalized)
     const fx = -strongForceMagnitude * (dx / distance);
@@ -152,17 +667,467 @@ export class Universe {
   }
 
   /**
-   * Calculate gravitational force on a particle toward the universe center
+   * Calculate the strong force potential energy of two particles
+   * U = K_strong × 1e-10 / (3 r³), truncated and shifted at shortRangeCutoff like the force
+   */
+  calculateStrongEnergy(p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance >= this.shortRangeCutoff) return 0;
+
+    const strength = this.strongForceCoefficient * 1e-10;
+    return strongRepulsion(distance, strength).energy - strongRepulsion(this.shortRangeCutoff, strength).energy;
+  }
+
+  /**
+   * Pair potentials acting between two particles, looked up by their species
+   *
+   * @returns {Array<Object>} Matching entries of this.pairPotentials (empty for photons)
+   */
+  pairPotentialsBetween(p1, p2) {
+    if (p1.isPhoton || p2.isPhoton) return [];
+
+    return this.pairPotentials.filter(potential =>
+      (potential.speciesA === p1.species && potential.speciesB === p2.species) ||
+      (potential.speciesA === p2.species && potential.speciesB === p1.species)
+    );
+  }
+
+  /**
+   * Radial force and energy of a pair potential at distance r (see lennardJones and morse in potentials.js)
+   *
+   * @param {Object} potential - Pair potential (energies in units of 1e-6)
+   * @param {number} distance - Distance between the particles
+   * @returns {Object} {force, energy}, force positive when repulsive
+   */
+  evaluatePairPotential(potential, distance) {
+    if (potential.type === 'morse') {
+      return morse(distance, potential.depth * 1e-6, potential.alpha, potential.equilibrium);
+    }
+    return lennardJones(distance, potential.epsilon * 1e-6, potential.sigma);
+  }
+
+  /**
+   * Calculate the force of the Lennard-Jones and Morse potentials between two particles
+   *
+   * PHYSICS PRINCIPLE: Short-range interactions between neutral atoms and molecules
+   * (van der Waals attraction, Pauli repulsion), chosen per species pair
+   *
+   * HOW IT WORKS:
+   * 1. LOOKUP: The potentials whose species pair matches the two particles are summed
+   *    (see pairPotentialsBetween); other pairs don't interact this way
+   *
+   * 2. CUTOFF: The potentials are truncated at shortRangeCutoff; the energy is shifted
+   *    by U(cutoff) so it stays continuous there (see calculatePairPotentialEnergy)
+   *
+   * 3. FORCE DIRECTION: Along the line between the particles, repulsive inside the
+   *    potential minimum (r < 2^(1/6) σ or r < r₀), attractive outside
+   *
+   * @param {Particle} p1 - First particle
+   * @param {Particle} p2 - Second particle
+   * @returns {Object} Force vector {fx, fy, fz} acting on p1 due to p2
+   */
+  calculatePairPotentialForce(p1, p2) {
+    const potentials = this.pairPotentialsBetween(p1, p2);
+    if (potentials.length === 0) return { fx: 0, fy: 0, fz: 0 };
+
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance < 1e-12 || distance >= this.shortRangeCutoff) return { fx: 0, fy: 0, fz: 0 };
+
+    let magnitude = 0;
+    for (let potential of potentials) {
+      magnitude += this.evaluatePairPotential(potential, distance).force;
+    }
+
+    // Positive magnitude pushes p1 away from p2
+    return {
+      fx: -magnitude * (dx / distance),
+      fy: -magnitude * (dy / distance),
+      fz: -magnitude * (dz / distance)
+    };
+  }
+
+  /**
+   * Calculate the potential energy of the pair potentials between two particles,
+   * shifted so it vanishes at shortRangeCutoff (truncated and shifted potential)
+   */
+  calculatePairPotentialEnergy(p1, p2) {
+    const potentials = this.pairPotentialsBetween(p1, p2);
+    if (potentials.length === 0) return 0;
+
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance >= this.shortRangeCutoff) return 0;
+
+    let energy = 0;
+    for (let potential of potentials) {
+      energy += this.evaluatePairPotential(potential, distance).energy -
+        this.evaluatePairPotential(potential, this.shortRangeCutoff).energy;
+    }
+    return energy;
+  }
+
+  /**
+   * Calculate the total external electric field at a point
+   *
+   * PHYSICS PRINCIPLE: Superposition of the user-defined fields, F = q × E on a charge
+   *
+   * HOW IT WORKS (strengths are in units of 1e-6, like the gravity coefficients):
+   * - uniform: E = (ex, ey, ez)
+   * - gradient: E = (ex, ey, ez) + gradient × (r_axis - origin) along the chosen axis
+   * - region: E = (ex, ey, ez) inside [minX, maxX] × [minY, maxY] (× [minZ, maxZ] in 3D), zero outside
+   *
+   * @param {number} x - X coordinate of the point
+   * @param {number} y - Y coordinate of the point
+   * @param {number} z - Z coordinate of the point
+   * @returns {Object} Field vector {ex, ey, ez}
+   */
+  calculateExternalElectricField(x, y, z) {
+    const position = { x, y, z };
+    let ex = 0, ey = 0, ez = 0;
+
+    for (let field of this.externalElectricFields) {
+      if (field.type === 'region') {
+        const inside = x >= field.minX && x <= field.maxX &&
+                       y >= field.minY && y <= field.maxY &&
+                       (!this.mode3D || (z >= field.minZ && z <= field.maxZ));
+        if (!inside) continue;
+      }
+
+      ex += field.ex;
+      ey += field.ey;
+      ez += field.ez;
+
+      if (field.type === 'gradient') {
+        const extra = field.gradient * (position[field.axis] - field.origin);
+        if (field.axis === 'x') ex += extra;
+        else if (field.axis === 'y') ey += extra;
+        else ez += extra;
+      }
+    }
+
+    return {
+      ex: ex * 1e-6,
+      ey: ey * 1e-6,
+      ez: this.mode3D ? ez * 1e-6 : 0
+    };
+  }
+
+  /**
+   * Calculate the electric potential of the external fields at a point (E = -∇V)
+   *
+   * The reference point of the uniform and gradient fields is the centre of the box.
+   * A region field uses the potential of the nearest point of its region, which
+   * is continuous but exact only inside: a hard-edged field is not conservative,
+   * so energy is only conserved for particles that stay inside or outside it.
+   *
+   * @param {number} x - X coordinate of the point
+   * @param {number} y - Y coordinate of the point
+   * @param {number} z - Z coordinate of the point
+   * @returns {number} Potential V (the energy of a charge q is q × V)
+   */
+  calculateExternalElectricPotential(x, y, z) {
+    const center = this.size / 2;
+    let potential = 0;
+
+    for (let field of this.externalElectricFields) {
+      let dx = x - center;
+      let dy = y - center;
+      let dz = this.mode3D ? z - center : 0;
+
+      if (field.type === 'region') {
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        dx = clamp(x, field.minX, field.maxX) - (field.minX + field.maxX) / 2;
+        dy = clamp(y, field.minY, field.maxY) - (field.minY + field.maxY) / 2;
+        dz = this.mode3D ? clamp(z, field.minZ, field.maxZ) - (field.minZ + field.maxZ) / 2 : 0;
+      }
+
+      // V = -E · r for a constant field
+      potential -= field.ex * dx + field.ey * dy + (this.mode3D ? field.ez * dz : 0);
+
+      // V = -gradient × (r_axis - origin)² / 2 for the linearly growing component
+      if (field.type === 'gradient' && (this.mode3D || field.axis !== 'z')) {
+        const offset = { x, y, z }[field.axis] - field.origin;
+        potential -= field.gradient * offset * offset / 2;
+      }
+    }
+
+    return potential * 1e-6;
+  }
+
+  /**
+   * Check whether any magnetic field can act on the particles
+   */
+  hasMagneticField() {
+    const { x, y, z } = this.magneticField;
+    return x !== 0 || y !== 0 || z !== 0 || this.movingChargeMagneticField;
+  }
+
+  /**
+   * Calculate the magnetic field at a point
+   *
+   * PHYSICS PRINCIPLE: Uniform external field plus, optionally, the field of moving
+   * point charges (Biot-Savart law): B = K_magnetic × q × (v × r̂) / r²
+   *
+   * HOW IT WORKS:
+   * 1. EXTERNAL FIELD: Start from the user-configured uniform field
+   *
+   * 2. MOVING CHARGES: Each charged particle adds K_magnetic × q × (v × r̂) / (r² + ε²)
+   *    - r points from the moving charge to the point (nearest image in periodic mode)
+   *    - Softened with the same length ε as the electrostatic force
+   *    - In 2D, in-plane velocities and displacements only produce a Bz component
+   *
+   * @param {number} x - X coordinate of the point
+   * @param {number} y - Y coordinate of the point
+   * @param {number} z - Z coordinate of the point
+   * @param {Particle} exclude - Particle whose own field is skipped (the one feeling the force)
+   * @returns {Object} Field vector {bx, by, bz}
+   */
+  calculateMagneticField(x, y, z, exclude = null) {
+    let bx = this.magneticField.x;
+    let by = this.magneticField.y;
+    let bz = this.magneticField.z;
+
+    if (this.movingChargeMagneticField) {
+      for (let source of this.particles) {
+        if (source === exclude || source.charge === 0 || !this.takesPart(source, 'electromagnetic')) continue;
+
+        const dx = this.minimumImage(x - source.x);
+        const dy = this.minimumImage(y - source.y);
+        const dz = this.mode3D ? this.minimumImage(z - source.z) : 0;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (distance < 1e-6) continue;
+
+        // B = K × q × (v × r̂) / (r² + ε²)
+        const softeningSquared = this.softeningLength * this.softeningLength;
+        const scale = this.magneticCoefficient * source.charge / ((distance * distance + softeningSquared) * distance);
+        bx += scale * (source.vy * dz - source.vz * dy);
+        by += scale * (source.vz * dx - source.vx * dz);
+        bz += scale * (source.vx * dy - source.vy * dx);
+      }
+    }
+
+    return { bx, by, bz };
+  }
+
+  /**
+   * Calculate the magnetic part of the Lorentz force: F = q × (v × B)
+   *
+   * The force is perpendicular to the velocity, so it bends trajectories without doing work.
+   *
+   * @param {Particle} particle - Moving charge
+   * @param {Object} field - Magnetic field {bx, by, bz} at the particle
+   * @returns {Object} Force vector {fx, fy, fz}
+   */
+  calculateLorentzForce(particle, { bx, by, bz }) {
+    const q = particle.charge;
+    return {
+      fx: q * (particle.vy * bz - particle.vz * by),
+      fy: q * (particle.vz * bx - particle.vx * bz),
+      fz: q * (particle.vx * by - particle.vy * bx)
+    };
+  }
+
+  /**
+   * Calculate the force of a bond on its first particle
+   *
+   * PHYSICS PRINCIPLE: Central spring force along the bond, equal and opposite on both ends
+   *
+   * HOW IT WORKS:
+   * - harmonic: F = k × (r - r₀), pulling the particles together when stretched
+   *   and pushing them apart when compressed
+   * - fene: F = k × r / (1 - (r/R)²), always attractive and diverging as r approaches
+   *   the maximum length R (r/R is capped at 0.99 so an overstretched bond stays finite)
+   *
+   * @param {Object} bond - Bond {type, stiffness, restLength, maxLength}
+   * @param {Particle} p1 - First particle of the bond
+   * @param {Particle} p2 - Second particle of the bond
+   * @returns {Object} Force vector {fx, fy, fz} acting on p1 (p2 feels the opposite)
+   */
+  calculateBondForce(bond, p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (distance < 1e-12) {
+      return { fx: 0, fy: 0, fz: 0 };
+    }
+
+    let magnitude;
+    if (bond.type === 'fene') {
+      const ratio = Math.min(distance / bond.maxLength, 0.99);
+      magnitude = bond.stiffness * distance / (1 - ratio * ratio);
+    } else {
+      magnitude = bond.stiffness * (distance - bond.restLength);
+    }
+
+    // Positive magnitude pulls p1 toward p2
+    return {
+      fx: magnitude * (dx / distance),
+      fy: magnitude * (dy / distance),
+      fz: magnitude * (dz / distance)
+    };
+  }
+
+  /**
+   * Calculate the potential energy stored in a bond
+   * - harmonic: U = ½ k (r - r₀)²
+   * - fene: U = -½ k R² ln(1 - (r/R)²)
+   */
+  calculateBondEnergy(bond, p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (bond.type === 'fene') {
+      const ratio = Math.min(distance / bond.maxLength, 0.99);
+      return -0.5 * bond.stiffness * bond.maxLength * bond.maxLength * Math.log(1 - ratio * ratio);
+    }
+    const stretch = distance - bond.restLength;
+    return 0.5 * bond.stiffness * stretch * stretch;
+  }
+
+  /**
+   * Measure the angle a-b-c at the vertex b
+   *
+   * @returns {Object|null} {r1, r2, length1, length2, cos, theta} with r1 = a - b and r2 = c - b,
+   *   or null when two of the particles coincide
+   */
+  measureAngle(p1, p2, p3) {
+    const r1 = {
+      x: this.minimumImage(p1.x - p2.x),
+      y: this.minimumImage(p1.y - p2.y),
+      z: this.mode3D ? this.minimumImage(p1.z - p2.z) : 0
+    };
+    const r2 = {
+      x: this.minimumImage(p3.x - p2.x),
+      y: this.minimumImage(p3.y - p2.y),
+      z: this.mode3D ? this.minimumImage(p3.z - p2.z) : 0
+    };
+    const length1 = Math.sqrt(r1.x * r1.x + r1.y * r1.y + r1.z * r1.z);
+    const length2 = Math.sqrt(r2.x * r2.x + r2.y * r2.y + r2.z * r2.z);
+    if (length1 < 1e-12 || length2 < 1e-12) return null;
+
+    const cos = Math.min(1, Math.max(-1, (r1.x * r2.x + r1.y * r2.y + r1.z * r2.z) / (length1 * length2)));
+    return { r1, r2, length1, length2, cos, theta: Math.acos(cos) };
+  }
+
+  /**
+   * Calculate the forces of an angle term on its three particles
+   *
+   * PHYSICS PRINCIPLE: Harmonic bending potential U = ½ k (θ - θ₀)², a soft constraint
+   * keeping the angle a-b-c (vertex b) near its rest value θ₀
+   *
+   * HOW IT WORKS:
+   * 1. ANGLE: cos θ = (r₁ · r₂) / (|r₁| |r₂|) with r₁ = a - b and r₂ = c - b
+   *
+   * 2. END FORCES: F = -dU/dθ × dθ/dr, which gives
+   *    F_a = (k (θ - θ₀) / sin θ) × (r₂ / (|r₁| |r₂|) - cos θ × r₁ / |r₁|²), symmetrically for c
+   *
+   * 3. VERTEX FORCE: F_b = -(F_a + F_c), so the term exerts no net force
+   *
+   * @param {Object} angle - Angle term {stiffness, restAngle}
+   * @returns {Array<Object>} Force vectors {fx, fy, fz} on p1, p2 and p3
+   */
+  calculateAngleForces(angle, p1, p2, p3) {
+    const zero = { fx: 0, fy: 0, fz: 0 };
+    const measured = this.measureAngle(p1, p2, p3);
+    if (!measured) return [zero, zero, zero];
+
+    const { r1, r2, length1, length2, cos, theta } = measured;
+    const sin = Math.max(Math.sqrt(1 - cos * cos), 1e-6);
+    const factor = angle.stiffness * (theta - angle.restAngle) / sin;
+
+    const endForce = (own, other, ownLength) => ({
+      fx: factor * (other.x / (length1 * length2) - cos * own.x / (ownLength * ownLength)),
+      fy: factor * (other.y / (length1 * length2) - cos * own.y / (ownLength * ownLength)),
+      fz: factor * (other.z / (length1 * length2) - cos * own.z / (ownLength * ownLength))
+    });
+    const f1 = endForce(r1, r2, length1);
+    const f3 = endForce(r2, r1, length2);
+
+    return [f1, { fx: -(f1.fx + f3.fx), fy: -(f1.fy + f3.fy), fz: -(f1.fz + f3.fz) }, f3];
+  }
+
+  /**
+   * Calculate the potential energy of an angle term: U = ½ k (θ - θ₀)²
+   */
+  calculateAngleEnergy(angle, p1, p2, p3) {
+    const measured = this.measureAngle(p1, p2, p3);
+    if (!measured) return 0;
+
+    const bend = measured.theta - angle.restAngle;
+    return 0.5 * angle.stiffness * bend * bend;
+  }
+
+  /**
+   * Calculate mutual Newtonian gravity between two particles
+   *
+   * PHYSICS PRINCIPLE: Newton's law of universal gravitation, F = G × m₁ × m₂ / r²,
+   * always attractive and acting along the line between the particles
+   *
+   * HOW IT WORKS:
+   * - Same softened law as the electrostatic force with strength -G × m₁ × m₂
+   *   (see coulomb in potentials.js): F = G × m₁ × m₂ / (r² + ε²) with ε = gravitySoftening
+   * - Unlike calculateGravityForce, there is no fixed center: momentum and angular
+   *   momentum are conserved, so bodies orbit their common center of mass
+   *
+   * @param {Particle} p1 - Particle on which the force acts
+   * @param {Particle} p2 - Attracting particle
+   * @returns {Object} Force vector {fx, fy, fz} acting on p1 (toward p2)
+   */
+  calculateNBodyGravityForce(p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    // Negative strength: the radial force of the potential is attractive and pulls p1 toward p2
+    const forceMagnitude = -coulomb(distance, -this.gravitationalConstant * p1.mass * p2.mass, this.gravitySoftening).force;
+
+    const fx = forceMagnitude * (dx / distance);
+    const fy = forceMagnitude * (dy / distance);
+    const fz = this.mode3D ? forceMagnitude * (dz / distance) : 0;
+
+    return { fx, fy, fz };
+  }
+
+  /**
+   * Calculate the mutual gravitational potential energy of two particles
+   * U = -G × m₁ × m₂ × atan(ε / r) / ε, the potential of the softened force
+   * (-G × m₁ × m₂ / r without softening)
+   */
+  calculateNBodyGravityEnergy(p1, p2) {
+    const dx = this.minimumImage(p2.x - p1.x);
+    const dy = this.minimumImage(p2.y - p1.y);
+    const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    return coulomb(distance, -this.gravitationalConstant * p1.mass * p2.mass, this.gravitySoftening).energy;
+  }
+
+  /**
+   * Calculate gravitational force on a particle toward gravityCenter
    * 
    * PHYSICS PRINCIPLE: Gravitational attraction toward a central point
    * 
    * HOW IT WORKS:
-   * 1. CENTER DEFINITION: Universe center at (0.5, 0.5, 0.5)
+   * 1. CENTER DEFINITION: gravityCenter, (0.5, 0.5, 0.5) by default
    *    - Fixed gravitational center regardless of particle positions
    *    - Acts like a massive object at the center of the universe
    * 
    * 2. DISTANCE CALCULATION: Distance from particle to center
    *    - dx = centerX - particle.x, dy = centerY - particle.y, dz = centerZ - particle.z
+   *      (nearest image of the center in periodic mode, see minimumImage)
    *    - distance = √(dx² + dy² + dz²)
    * 
    * 3. FORCE MAGNITUDE: F = mass × K_gravity × 1e-6
@@ -183,14 +1148,12 @@ export class Universe {
    * @returns {Object} Force vector {fx, fy, fz} acting on particle toward center
    */
   calculateGravityForce(particle) {
-    const centerX = 0.5;
-    const centerY = 0.5;
-    const centerZ = 0.5;
+    const { x: centerX, y: centerY, z: centerZ } = this.gravityCenter;
 
     // Calculate direction vector from particle to center
-    const dx = centerX - particle.x;
-    const dy = centerY - particle.y;
-    const dz = this.mode3D ? (centerZ - particle.z) : 0;
+    const dx = this.minimumImage(centerX - particle.x);
+    const dy = this.minimumImage(centerY - particle.y);
+    const dz = this.mode3D ? this.minimumImage(centerZ - particle.z) : 0;
 
     // Calculate distance to center
     const distanceSquared = dx * dx + dy * dy + dz * dz;
@@ -213,65 +1176,175 @@ export class Universe {
   }
 
   /**
-   * Calculate ground gravitational force on a particle toward y=1
+   * Calculate the central gravity potential energy of a particle
+   * U = mass × K_gravity × 1e-6 × distance to gravityCenter (nearest image in periodic mode)
+   */
+  calculateGravityEnergy(particle) {
+    const dx = this.minimumImage(particle.x - this.gravityCenter.x);
+    const dy = this.minimumImage(particle.y - this.gravityCenter.y);
+    const dz = this.mode3D ? this.minimumImage(particle.z - this.gravityCenter.z) : 0;
+    return particle.mass * this.gravityCoefficient * 1e-6 * Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Calculate ground gravitational force on a particle along groundGravityDirection
    * 
-   * PHYSICS PRINCIPLE: Gravitational attraction toward a horizontal plane at y=1
+   * PHYSICS PRINCIPLE: Uniform gravity, as near the surface of a planet
    * 
    * HOW IT WORKS:
-   * 1. GROUND DEFINITION: Ground plane at y=1 (top of the universe)
-   *    - Fixed gravitational plane regardless of particle positions
-   *    - Acts like a massive horizontal surface attracting particles upward
-   * 
-   * 2. DISTANCE CALCULATION: Distance from particle to ground plane
-   *    - dy = groundY - particle.y (where groundY = 1)
-   *    - Only Y-component matters for ground gravity
+   * 1. DIRECTION: groundGravityDirection normalized to a unit vector
+   *    - Default (0, 1, 0): toward the ground at y=1 (bottom of the canvas)
+   *    - A zero vector switches the pull off
    * 
-   * 3. FORCE MAGNITUDE: F = mass × K_ground_gravity × 1e-6
+   * 2. FORCE MAGNITUDE: F = mass × K_ground_gravity × 1e-6
    *    - Proportional to particle mass (heavier particles feel stronger gravity)
-   *    - K_ground_gravity: ground gravitational coefficient (scaling factor)
-   *    - 1e-6: small constant to keep gravitational force reasonable
-   *    - Always attractive (positive magnitude toward ground)
-   * 
-   * 4. FORCE DIRECTION: Always toward the ground (y=1)
-   *    - Only Y-component: force is purely vertical
-   *    - Force magnitude applied in positive Y direction
+   *    - Same everywhere in the universe, independent of the particle position
    * 
-   * 5. DISTANCE THRESHOLD: Avoids division by zero at exact ground
-   *    - If distance < 1e-6, no ground gravitational force is applied
-   *    - Prevents numerical instability when particle is at exact ground level
+   * 3. FORCE DIRECTION: Always along the unit direction
+   *    - The Z component only acts in 3D mode
    * 
    * @param {Particle} particle - Particle to calculate ground gravity for
    * @returns {Object} Force vector {fx, fy, fz} acting on particle toward ground
    */
   calculateGroundGravityForce(particle) {
-    const groundY = 1.0;
-
-    // Calculate distance to ground (only Y component matters)
-    const dy = groundY - particle.y;
-
-    // Avoid division by zero if particle is exactly at ground level
-    if (Math.abs(dy) <= 1e-6) {
-      return { fx: 0, fy: 0, fz: 0 };
-    }
+    const direction = this.groundGravityUnitDirection();
 
     // Ground gravitational force magnitude: mass × K_ground_gravity × 1e-6
     const groundGravityForceMagnitude = particle.mass * this.groundGravityCoefficient * 1e-6;
 
-    // Force is purely vertical (only Y component)
-    const fx = 0;
-    const fy = groundGravityForceMagnitude;
-    const fz = 0;
+    const fx = groundGravityForceMagnitude * direction.x;
+    const fy = groundGravityForceMagnitude * direction.y;
+    const fz = this.mode3D ? groundGravityForceMagnitude * direction.z : 0;
 
     return { fx, fy, fz };
   }
 
+  /**
+   * Unit vector of groundGravityDirection ({0, 0, 0} for a zero vector)
+   */
+  groundGravityUnitDirection() {
+    const { x, y, z } = this.groundGravityDirection;
+    const length = Math.sqrt(x * x + y * y + z * z);
+    if (length === 0) return { x: 0, y: 0, z: 0 };
+    return { x: x / length, y: y / length, z: z / length };
+  }
+
+  /**
+   * Calculate the ground gravity potential energy of a particle
+   * U = mass × K_ground_gravity × 1e-6 × height, the height being measured from the
+   * corner of the box the pull points to (mass × K × 1e-6 × (1 - y) for the default direction)
+   */
+  calculateGroundGravityEnergy(particle) {
+    const direction = this.groundGravityUnitDirection();
+    const height = direction.x * ((direction.x > 0 ? this.size : 0) - particle.x) +
+      direction.y * ((direction.y > 0 ? this.size : 0) - particle.y) +
+      (this.mode3D ? direction.z * ((direction.z > 0 ? this.size : 0) - particle.z) : 0);
+    return particle.mass * this.groundGravityCoefficient * 1e-6 * height;
+  }
+
+  /**
+   * Current position of an attractor moving along its path (see ATTRACTOR_PATHS)
+   *
+   * The position follows simulationTime, which only advances after the integrator has
+   * finished a step: every force evaluation within the step (RK4 stages, retried adaptive
+   * attempts) sees the attractor where it was at the start of the step, and the energy
+   * and snapshot after the step see it at the end.
+   *
+   * @param {Object} attractor - Attractor (see Universe.attractors)
+   * @returns {Object} Position {x, y, z}
+   */
+  attractorPosition(attractor) {
+    if (attractor.path === 'fixed' || attractor.pathPeriod <= 0) {
+      return { x: attractor.x, y: attractor.y, z: attractor.z };
+    }
+
+    const phase = 2 * Math.PI * this.simulationTime / attractor.pathPeriod;
+    const angle = attractor.pathAngle * Math.PI / 180;
+    if (attractor.path === 'circle') {
+      return {
+        x: attractor.x + attractor.pathRadius * Math.cos(angle + phase),
+        y: attractor.y + attractor.pathRadius * Math.sin(angle + phase),
+        z: attractor.z
+      };
+    }
+
+    // 'line': back and forth through the attractor position
+    const offset = attractor.pathRadius * Math.sin(phase);
+    return {
+      x: attractor.x + offset * Math.cos(angle),
+      y: attractor.y + offset * Math.sin(angle),
+      z: attractor.z
+    };
+  }
+
+  /**
+   * Calculate the pull of all attractors on a particle
+   * 
+   * PHYSICS PRINCIPLE: Gravity wells at user-chosen places, a generalization of the
+   * central gravity (a constant-falloff attractor at the center with strength K_gravity
+   * pulls exactly like it)
+   * 
+   * HOW IT WORKS:
+   * 1. POSITION: Each attractor is at its current position along its path (attractorPosition)
+   * 2. FORCE MAGNITUDE: radial force of attractorWell (potentials.js) with s = mass × strength × 1e-6,
+   *    using the attractor's falloff law and softening
+   * 3. FORCE DIRECTION: Toward the attractor (away from it for a negative strength)
+   * 
+   * @param {Particle} particle - Particle to calculate the pull for
+   * @returns {Object} Force vector {fx, fy, fz} acting on particle
+   */
+  calculateAttractorForce(particle) {
+    let fx = 0, fy = 0, fz = 0;
+
+    for (let attractor of this.attractors) {
+      const position = this.attractorPosition(attractor);
+      const dx = this.minimumImage(position.x - particle.x);
+      const dy = this.minimumImage(position.y - particle.y);
+      const dz = this.mode3D ? this.minimumImage(position.z - particle.z) : 0;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      // No direction at the attractor itself
+      if (distance < 1e-12) continue;
+
+      // Attractive wells have a negative radial force: pull toward the attractor
+      const well = attractorWell(distance, particle.mass * attractor.strength * 1e-6, attractor.falloff, attractor.softening);
+      const forceMagnitude = -well.force;
+      fx += forceMagnitude * (dx / distance);
+      fy += forceMagnitude * (dy / distance);
+      fz += forceMagnitude * (dz / distance);
+    }
+
+    return { fx, fy, fz };
+  }
+
+  /**
+   * Calculate the potential energy of a particle in the wells of all attractors
+   * (moving attractors do work on the particles, so this energy alone is not conserved)
+   */
+  calculateAttractorEnergy(particle) {
+    let energy = 0;
+
+    for (let attractor of this.attractors) {
+      const position = this.attractorPosition(attractor);
+      const dx = this.minimumImage(position.x - particle.x);
+      const dy = this.minimumImage(position.y - particle.y);
+      const dz = this.mode3D ? this.minimumImage(position.z - particle.z) : 0;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      energy += attractorWell(distance, particle.mass * attractor.strength * 1e-6, attractor.falloff, attractor.softening).energy;
+    }
+
+    return energy;
+  }
+
+
   shouldEmitPhoton(particle) {
     const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy + particle.vz * particle.vz);
     if (speed < this.photonEmissionSpeedThreshold) {
       return false;
     }
     // Return true with probability 0.001 * speed / this.photonEmissionSpeedThreshold
-    return Math.random() < 0.00001 * speed / this.photonEmissionSpeedThreshold;
+    return this.random.next() < 0.00001 * speed / this.photonEmissionSpeedThreshold;
   }
 
   /**
@@ -281,7 +1354,7 @@ export class Universe {
    * 
    * HOW IT WORKS:
    * 1. ENERGY CALCULATION: Calculate initial kinetic energy of electron
-   *    - Initial KE = 1/2 × m × v²
+   *    - Initial KE = 1/2 × m × v² ((γ - 1) m c² in relativistic mode, see kineticEnergy)
    * 
    * 2. ENERGY DISTRIBUTION: Distribute energy between electron and photon
    *    - Photon gets energyRatio of the initial kinetic energy
@@ -289,14 +1362,12 @@ export class Universe {
    * 
    * 3. SPEED REDUCTION: Calculate new electron speed based on remaining energy
    *    - New KE = (1 - energyRatio) × Initial KE
-   *    - 1/2 × m × v_new² = (1 - energyRatio) × 1/2 × m × v²
-   *    - v_new = v × √(1 - energyRatio)
-   *    - Speed reduction factor = 1 / √(1 - energyRatio)
+   *    - Classically v_new = v × √(1 - energyRatio) (see speedForKineticEnergy)
    * 
    * 4. PHOTON CREATION: Create electromagnetic particle (photon)
-   *    - Energy: E_photon = energyRatio × 1/2 × m × v²
+   *    - Energy: E_photon = energyRatio × Initial KE
    *    - Position: Same as electron position
-   *    - Velocity: Same direction as electron, with appropriate speed
+   *    - Velocity: Same direction as electron, at the speed of light c
    *    - Charge: 0 (photons are neutral)
    *    - Mass: 0 (photons are massless)
    * 
@@ -309,18 +1380,20 @@ export class Universe {
    * @returns {Particle|null} New photon particle or null if photon emission is disabled
    */
   managePhotonEmission(particle, speed, vx, vy, vz, photonEnergyRatio = 0.9) {
+    if (this.photonMomentumConservation) {
+      return this.emitPhotonWithRecoil(particle, photonEnergyRatio);
+    }
+
     // Calculate initial kinetic energy
-    const initialKE = 0.5 * this.electronMass * speed * speed;
+    const initialKE = this.kineticEnergy(particle);
 
     // Calculate photon energy based on energy ratio
     const photonEnergy = photonEnergyRatio * initialKE;
 
     // Calculate speed reduction factor
     // New KE = (1 - energyRatio) × Initial KE
-    // 1/2 × m × v_new² = (1 - energyRatio) × 1/2 × m × v²
-    // v_new² = (1 - energyRatio) × v²
-    // v_new = v × √(1 - energyRatio)
-    const speedReductionFactor = 1 / Math.sqrt(1 - photonEnergyRatio);
+    const newSpeed = this.speedForKineticEnergy(particle.mass, (1 - photonEnergyRatio) * initialKE);
+    const speedReductionFactor = speed / newSpeed;
 
     // Reduce electron speed
     particle.vx /= speedReductionFactor;
@@ -333,8 +1406,7 @@ export class Universe {
     particle.hasEmittedPhoton = true;
 
     // Create photon with same position and normalized velocity direction
-    const newSpeed = speed / speedReductionFactor; // New electron speed
-    const photonSpeed = newSpeed; // Photon moves at same speed as reduced electron
+    const photonSpeed = this.speedOfLight;
 
     const photonVx = (vx / speed) * photonSpeed;
     const photonVy = (vy / speed) * photonSpeed;
@@ -362,6 +1434,179 @@ export class Universe {
     return null;
   }
 
+  /**
+   * Unit vector along (x, y, z), z ignored in 2D; zero for a zero vector
+   */
+  unitVector(x, y, z) {
+    const zComponent = this.mode3D ? z : 0;
+    const length = Math.sqrt(x * x + y * y + zComponent * zComponent);
+    if (length === 0) return { x: 0, y: 0, z: 0 };
+    return { x: x / length, y: y / length, z: zComponent / length };
+  }
+
+  /**
+   * Nearest massive particle that can take up the recoil of a photon exchange
+   *
+   * @param {Particle} particle - Particle emitting or absorbing the photon
+   * @returns {Particle|null} Nearest other non-photon particle, or null if there is none
+   */
+  findRecoilPartner(particle) {
+    let partner = null;
+    let partnerDistanceSquared = Infinity;
+
+    for (let other of this.particles) {
+      if (other === particle || other.isPhoton || other.absorbed) continue;
+
+      const dx = this.minimumImage(other.x - particle.x);
+      const dy = this.minimumImage(other.y - particle.y);
+      const dz = this.mode3D ? this.minimumImage(other.z - particle.z) : 0;
+      const distanceSquared = dx * dx + dy * dy + dz * dz;
+      if (distanceSquared < partnerDistanceSquared) {
+        partner = other;
+        partnerDistanceSquared = distanceSquared;
+      }
+    }
+    return partner;
+  }
+
+  /**
+   * Give energy and momentum to a pair of particles (a photon exchange), conserving both
+   *
+   * PHYSICS PRINCIPLE: A free charge can't emit or absorb a photon alone — energy and
+   * momentum conservation can't both hold. Near another particle (bremsstrahlung,
+   * photoionization) the pair shares the recoil, and both are conserved.
+   *
+   * HOW IT WORKS (Newtonian two-body kinematics, accurate while v ≪ c):
+   * 1. SPLIT: The pair's motion is its center-of-mass momentum P = m₁v₁ + m₂v₂ plus the
+   *    relative velocity v_rel = v₁ - v₂, carrying the internal energy ½ μ v_rel² (μ = m₁m₂/M)
+   *
+   * 2. MOMENTUM: P' = P + Δp, so the center of mass moves at V' = P' / M
+   *
+   * 3. ENERGY: The internal energy becomes KE + ΔE - P'²/2M; v_rel keeps its direction
+   *    (a random one if the pair was at relative rest) and is rescaled to match.
+   *    The exchange is refused if that energy would be negative.
+   *
+   * 4. RESULT: v₁ = V' + (m₂/M) v_rel, v₂ = V' - (m₁/M) v_rel
+   *
+   * An immobile partner (fixed, static proton) acts as an infinite mass: it takes up
+   * any momentum, so only the particle's energy changes.
+   *
+   * @param {Particle} particle - Particle emitting (ΔE < 0) or absorbing (ΔE > 0) the photon
+   * @param {Particle} partner - Particle taking up the recoil (see findRecoilPartner)
+   * @param {number} energy - Energy ΔE given to the pair
+   * @param {Object} momentum - Momentum Δp {x, y, z} given to the pair
+   * @returns {boolean} Whether the exchange happened
+   */
+  exchangePhotonMomentum(particle, partner, energy, momentum) {
+    const mobilePartner = this.isMobile(partner);
+    const m1 = particle.mass;
+    const m2 = partner.mass;
+    const totalMass = mobilePartner ? m1 + m2 : Infinity;
+    const reducedMass = mobilePartner ? (m1 * m2) / totalMass : m1;
+    const share1 = mobilePartner ? m2 / totalMass : 1; // Fraction of v_rel carried by the particle
+    const share2 = mobilePartner ? m1 / totalMass : 0;
+    const axes = this.mode3D ? ['x', 'y', 'z'] : ['x', 'y'];
+    const velocity = (p, axis) => p[`v${axis}`];
+    const partnerVelocity = axis => mobilePartner ? velocity(partner, axis) : 0;
+
+    // Step 1: center-of-mass momentum and relative velocity
+    const relative = {};
+    let relativeSpeedSquared = 0;
+    let totalKE = 0;
+    let newMomentumSquared = 0;
+    const newCenterVelocity = {};
+    for (let axis of axes) {
+      relative[axis] = velocity(particle, axis) - partnerVelocity(axis);
+      relativeSpeedSquared += relative[axis] * relative[axis];
+      totalKE += 0.5 * m1 * velocity(particle, axis) ** 2 + (mobilePartner ? 0.5 * m2 * partnerVelocity(axis) ** 2 : 0);
+
+      // Step 2: new center-of-mass velocity
+      const newMomentum = m1 * velocity(particle, axis) + (mobilePartner ? m2 * partnerVelocity(axis) : 0) + momentum[axis];
+      newMomentumSquared += newMomentum * newMomentum;
+      newCenterVelocity[axis] = mobilePartner ? newMomentum / totalMass : 0;
+    }
+    if (!mobilePartner) {
+      // The immobile partner keeps the momentum: only the particle's energy changes
+      totalKE = 0.5 * m1 * relativeSpeedSquared;
+      newMomentumSquared = 0;
+    }
+
+    // Step 3: internal energy after the exchange
+    const internalEnergy = totalKE + energy - (mobilePartner ? newMomentumSquared / (2 * totalMass) : 0);
+    if (internalEnergy < 0) return false;
+
+    const newRelativeSpeed = Math.sqrt(2 * internalEnergy / reducedMass);
+    let direction = this.unitVector(relative.x, relative.y, relative.z ?? 0);
+    if (relativeSpeedSquared === 0) {
+      const theta = this.random.next() * 2 * Math.PI;
+      const phi = this.mode3D ? Math.acos(2 * this.random.next() - 1) : Math.PI / 2;
+      direction = { x: Math.sin(phi) * Math.cos(theta), y: Math.sin(phi) * Math.sin(theta), z: Math.cos(phi) };
+    }
+
+    // Step 4: back to the two velocities
+    for (let axis of axes) {
+      particle[`v${axis}`] = newCenterVelocity[axis] + share1 * newRelativeSpeed * direction[axis];
+      if (mobilePartner) {
+        partner[`v${axis}`] = newCenterVelocity[axis] - share2 * newRelativeSpeed * direction[axis];
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Emit a photon carrying momentum E/c, the nearest particle taking up the recoil
+   *
+   * The photon gets photonEnergyRatio of the internal energy of the emitter and its
+   * nearest neighbour and leaves along the emitter's motion relative to that neighbour.
+   * Without a neighbour (a lone charge) or when photons are disabled, nothing happens.
+   *
+   * @param {Particle} particle - Radiating particle
+   * @param {number} photonEnergyRatio - Fraction of the pair's internal kinetic energy given to the photon
+   * @returns {Particle|null} New photon, or null if no photon could be emitted
+   */
+  emitPhotonWithRecoil(particle, photonEnergyRatio) {
+    if (!config.photonEmission.enabled) return null;
+
+    const partner = this.findRecoilPartner(particle);
+    if (!partner) return null;
+
+    const mobilePartner = this.isMobile(partner);
+    const relative = {
+      x: particle.vx - (mobilePartner ? partner.vx : 0),
+      y: particle.vy - (mobilePartner ? partner.vy : 0),
+      z: this.mode3D ? particle.vz - (mobilePartner ? partner.vz : 0) : 0
+    };
+    const relativeSpeedSquared = relative.x * relative.x + relative.y * relative.y + relative.z * relative.z;
+    if (relativeSpeedSquared === 0) return null;
+
+    const reducedMass = mobilePartner ? (particle.mass * partner.mass) / (particle.mass + partner.mass) : particle.mass;
+    const photonEnergy = photonEnergyRatio * 0.5 * reducedMass * relativeSpeedSquared;
+    const direction = this.unitVector(relative.x, relative.y, relative.z);
+    const photonMomentum = photonEnergy / this.speedOfLight;
+
+    const emitted = this.exchangePhotonMomentum(particle, partner, -photonEnergy, {
+      x: -photonMomentum * direction.x,
+      y: -photonMomentum * direction.y,
+      z: -photonMomentum * direction.z
+    });
+    if (!emitted) return null;
+
+    particle.hasEmittedPhoton = true;
+    return new Particle(
+      particle.x,
+      particle.y,
+      direction.x * this.speedOfLight,
+      direction.y * this.speedOfLight,
+      0, // charge = 0
+      0, // mass = 0
+      false, // not fixed
+      particle.z,
+      direction.z * this.speedOfLight,
+      true, // isPhoton = true
+      photonEnergy
+    );
+  }
+
   /**
    * Handle photon-electron energy transfer collisions
    * 
@@ -399,28 +1644,45 @@ export class Universe {
       for (let j = 0; j < this.particles.length; j++) {
         const electron = this.particles[j];
         
-        // Only process electrons (negative charge, not photons)
-        if (electron.charge >= 0 || electron.isPhoton) continue;
+        // Only process radiating species (electrons by default)
+        if (!this.radiates(electron)) continue;
 
         // Calculate distance between photon and electron
-        const dx = electron.x - photon.x;
-        const dy = electron.y - photon.y;
-        const dz = this.mode3D ? (electron.z - photon.z) : 0;
+        const dx = this.minimumImage(electron.x - photon.x);
+        const dy = this.minimumImage(electron.y - photon.y);
+        const dz = this.mode3D ? this.minimumImage(electron.z - photon.z) : 0;
         const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
         // Check for collision (distance and minimum age requirement)
         if (distance < this.photonAbsorptionDistance && photon.age >= this.photonMinAgeForAbsorption) {
+          // Momentum-conserving mode: the photon's energy and momentum go to the electron
+          // and its nearest neighbour
+          if (this.photonMomentumConservation) {
+            const partner = this.findRecoilPartner(electron);
+            const photonMomentum = photon.energy / this.speedOfLight;
+            const direction = this.unitVector(photon.vx, photon.vy, photon.vz);
+            if (!partner || !this.exchangePhotonMomentum(electron, partner, photon.energy, {
+              x: photonMomentum * direction.x,
+              y: photonMomentum * direction.y,
+              z: photonMomentum * direction.z
+            })) continue;
+
+            this.recordPhoton('absorbed', photon);
+            photonsToRemove.push(i);
+            break;
+          }
+
           // Calculate current electron kinetic energy
           const currentSpeed = Math.sqrt(
             electron.vx * electron.vx + 
             electron.vy * electron.vy + 
             electron.vz * electron.vz
           );
-          const currentKE = 0.5 * electron.mass * currentSpeed * currentSpeed;
+          const currentKE = this.kineticEnergy(electron);
 
-          // Add photon energy to electron
+          // Add photon energy to electron (never reaching c in relativistic mode)
           const newKE = currentKE + photon.energy;
-          const newSpeed = Math.sqrt(2 * newKE / electron.mass);
+          const newSpeed = this.speedForKineticEnergy(electron.mass, newKE);
 
           // Scale velocity vector to new speed (maintain direction)
           if (currentSpeed > 0) {
@@ -432,8 +1694,8 @@ export class Universe {
             }
           } else {
             // If electron was at rest, give it random direction with new speed
-            const theta = Math.random() * 2 * Math.PI;
-            const phi = this.mode3D ? Math.acos(2 * Math.random() - 1) : Math.PI / 2;
+            const theta = this.random.next() * 2 * Math.PI;
+            const phi = this.mode3D ? Math.acos(2 * this.random.next() - 1) : Math.PI / 2;
             electron.vx = newSpeed * Math.sin(phi) * Math.cos(theta);
             electron.vy = newSpeed * Math.sin(phi) * Math.sin(theta);
             if (this.mode3D) {
@@ -443,6 +1705,7 @@ export class Universe {
 
           // Mark photon for removal
           if (!photonsToRemove.includes(i)) {
+            this.recordPhoton('absorbed', photon);
             photonsToRemove.push(i);
           }
           break; // Photon can only be absorbed once
@@ -458,6 +1721,158 @@ export class Universe {
     return photonsToRemove.length;
   }
 
+  /**
+   * Wavelength of a photon in nm, λ = h·c / E (see spectrum.js)
+   */
+  photonWavelength(photon) {
+    return photonWavelength(photon.energy, this.planckConstant, this.speedOfLight);
+  }
+
+  /**
+   * Empty emission and absorption spectra (one count per wavelength bin)
+   */
+  createPhotonSpectrum() {
+    return {
+      emitted: new Array(SPECTRUM_BIN_COUNT).fill(0),
+      absorbed: new Array(SPECTRUM_BIN_COUNT).fill(0)
+    };
+  }
+
+  /**
+   * Count a photon in the emission or absorption spectrum
+   *
+   * @param {string} kind - 'emitted' or 'absorbed'
+   * @param {Particle} photon - Photon created or absorbed
+   */
+  recordPhoton(kind, photon) {
+    this.photonSpectrum[kind][spectrumBin(this.photonWavelength(photon))]++;
+  }
+
+  /**
+   * Forget the photons counted so far (the spectrum starts again from now)
+   */
+  clearPhotonSpectrum() {
+    this.photonSpectrum = this.createPhotonSpectrum();
+  }
+
+  /**
+   * Radiated power of an accelerating charge (Larmor formula)
+   *
+   * P = K_larmor × (2/3) × K_electro × q² × a² / c³
+   *
+   * @param {Particle} particle - Charged particle (uses its last recorded acceleration)
+   * @returns {number} Power radiated
+   */
+  calculateLarmorPower(particle) {
+    const az = this.mode3D ? particle.accelerationZ : 0;
+    const accelerationSquared = particle.accelerationX * particle.accelerationX +
+      particle.accelerationY * particle.accelerationY + az * az;
+    return this.larmorCoefficient * (2 / 3) * this.electrostaticCoefficient *
+      particle.charge * particle.charge * accelerationSquared / Math.pow(this.speedOfLight, 3);
+  }
+
+  /**
+   * Random photon direction following the dipole pattern of Larmor radiation
+   *
+   * The intensity goes as sin²θ, θ being the angle with the acceleration: no photon
+   * leaves along the acceleration, most leave perpendicular to it. Sampled by rejection.
+   *
+   * @returns {Object} Unit vector {x, y, z} (z = 0 in 2D)
+   */
+  sampleDipoleDirection(particle) {
+    const acceleration = this.unitVector(particle.accelerationX, particle.accelerationY, particle.accelerationZ);
+    for (;;) {
+      const theta = this.random.next() * 2 * Math.PI;
+      const cosPhi = this.mode3D ? 2 * this.random.next() - 1 : 0;
+      const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+      const direction = { x: sinPhi * Math.cos(theta), y: sinPhi * Math.sin(theta), z: cosPhi };
+      const cosAngle = direction.x * acceleration.x + direction.y * acceleration.y + direction.z * acceleration.z;
+      if (this.random.next() < 1 - cosAngle * cosAngle) return direction;
+    }
+  }
+
+  /**
+   * Emit Larmor radiation from every accelerating charge
+   *
+   * PHYSICS PRINCIPLE: Any accelerating charge radiates, with the Larmor power
+   * P ∝ q² a² / c³ (see calculateLarmorPower), whatever its species or speed
+   *
+   * HOW IT WORKS:
+   * 1. ACCUMULATION: Each step, every mobile charge adds P × dt to its radiatedEnergy,
+   *    using its own charge and the acceleration of the previous step
+   *
+   * 2. EMISSION: Once radiatedEnergy reaches larmorPhotonEnergy, one photon of that energy
+   *    leaves in a direction drawn from the sin²θ dipole pattern, at the speed of light
+   *
+   * 3. RECOIL: The photon's energy comes out of the charge's own kinetic energy (its mass,
+   *    not the electron's), keeping its direction; in momentum-conserving mode the charge
+   *    and its nearest neighbour share the recoil instead (see exchangePhotonMomentum)
+   *    - A charge without enough energy keeps at most one quantum pending
+   */
+  emitLarmorPhotons() {
+    const newPhotons = [];
+
+    for (let particle of this.particles) {
+      if (!this.radiates(particle)) continue;
+      if (config.photonEmission.onePhotonPerElectron && particle.hasEmittedPhoton) continue;
+
+      particle.radiatedEnergy += this.calculateLarmorPower(particle) * this.dt;
+      if (!config.photonEmission.enabled || particle.radiatedEnergy < this.larmorPhotonEnergy) continue;
+
+      const photonEnergy = this.larmorPhotonEnergy;
+      const direction = this.sampleDipoleDirection(particle);
+      let emitted;
+      if (this.photonMomentumConservation) {
+        const partner = this.findRecoilPartner(particle);
+        const photonMomentum = photonEnergy / this.speedOfLight;
+        emitted = partner !== null && this.exchangePhotonMomentum(particle, partner, -photonEnergy, {
+          x: -photonMomentum * direction.x,
+          y: -photonMomentum * direction.y,
+          z: -photonMomentum * direction.z
+        });
+      } else {
+        const kineticEnergy = this.kineticEnergy(particle);
+        emitted = kineticEnergy > photonEnergy;
+        if (emitted) {
+          const vz = this.mode3D ? particle.vz : 0;
+          const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy + vz * vz);
+          const scale = this.speedForKineticEnergy(particle.mass, kineticEnergy - photonEnergy) / speed;
+          particle.vx *= scale;
+          particle.vy *= scale;
+          if (this.mode3D) {
+            particle.vz *= scale;
+          }
+        }
+      }
+
+      if (!emitted) {
+        particle.radiatedEnergy = Math.min(particle.radiatedEnergy, photonEnergy);
+        continue;
+      }
+
+      particle.radiatedEnergy -= photonEnergy;
+      particle.hasEmittedPhoton = true;
+      newPhotons.push(new Particle(
+        particle.x,
+        particle.y,
+        direction.x * this.speedOfLight,
+        direction.y * this.speedOfLight,
+        0, // charge = 0
+        0, // mass = 0
+        false, // not fixed
+        particle.z,
+        direction.z * this.speedOfLight,
+        true, // isPhoton = true
+        photonEnergy
+      ));
+    }
+
+    for (let photon of newPhotons) {
+      this.recordPhoton('emitted', photon);
+      this.addParticle(photon);
+    }
+  }
+
   /**
    * Check electron speeds and emit photons if speed exceeds threshold
    * 
@@ -469,7 +1884,7 @@ export class Universe {
    * 
    * 2. SPEED CHECK: Calculate speed (norm of velocity vector) for each electron
    *    - speed = √(vx² + vy² + vz²)
-   *    - Only applies to electrons (charge < 0), never to protons
+   *    - Only applies to radiating species (electrons, positrons), never to protons
    * 
    * 3. EMISSION LIMIT: If config.photonEmission.onePhotonPerElectron is true:
    *    - Each electron can only emit one photon in its lifetime
@@ -494,11 +1909,16 @@ export class Universe {
    *    - Total: 1/4 × m × v² + 1/4 × m × v² = 1/2 × m × v² ✓
    */
   checkAndEmitPhotons() {
+    if (this.photonEmissionModel === 'larmor') {
+      this.emitLarmorPhotons();
+      return;
+    }
+
     const newPhotons = [];
 
     for (let particle of this.particles) {
-      // Only check electrons (charge < 0), never protons
-      if (particle.charge >= 0 || particle.isPhoton) continue;
+      // Only check radiating species (electrons, positrons), never protons
+      if (!this.radiates(particle)) continue;
 
       // If onePhotonPerElectron is enabled, skip electrons that have already emitted
       if (config.photonEmission.onePhotonPerElectron && particle.hasEmittedPhoton) {
@@ -522,51 +1942,58 @@ export class Universe {
 
     // Add all new photons to the universe
     for (let photon of newPhotons) {
+      this.recordPhoton('emitted', photon);
       this.addParticle(photon);
     }
   }
 
   /**
-   * Calculate total force between two particles (electrostatic + strong force)
-   * F = K_electro * q1 * q2 / r^2
+   * Calculate total force between two particles (registered pair forces + pair potentials)
    * Returns force vector [fx, fy, fz]
+   *
+   * Exact reference for the registered pair forces (pair potentials are always
+   * truncated at shortRangeCutoff); Universe.step splits the terms between the long-range
+   * solver and the short-range cell list (see computeForces).
    */
   calculateForce(p1, p2) {
-    // Calculate electrostatic force between particles
-    const electrostaticForce = this.calculateElectrostaticForce(p1, p2);
-    // console.log('p1.x', p1.x);
-    // console.log('p1.y', p1.y);
-    // console.log('p2.x', p2.x);
-    // console.log('p2.y', p2.y);
-    // console.log('p1.mass', p1.mass);
-    // console.log('p2.mass', p2.mass);
-    // console.log('p1.speed.y', p1.vy);
-    // console.log('p1.accelerationY', p1.accelerationY);
-    // console.log('electrostaticForce', electrostaticForce.fy);
-
-
-    // Calculate strong force if enabled
-    let strongForce = { fx: 0, fy: 0, fz: 0 };
-    if (this.strongForceEnabled) {
-      strongForce = this.calculateStrongForce(p1, p2);
-      // console.log('strongForce', strongForce.fy);
-    }
-
-    // Combine forces: total = electrostatic + strong
-    return {
-      fx: electrostaticForce.fx + strongForce.fx,
-      fy: electrostaticForce.fy + strongForce.fy,
-      fz: electrostaticForce.fz + strongForce.fz
-    };
+    // Lennard-Jones and Morse potentials chosen for this species pair
+    const total = this.calculatePairPotentialForce(p1, p2);
+
+    // Electrostatic, strong force and any other registered pair force both particles take part in
+    for (let force of this.enabledForces('pair')) {
+      if (!this.takesPart(p1, force.interaction) || !this.takesPart(p2, force.interaction)) continue;
+
+      const pairForce = force.force(this, p1, p2);
+      total.fx += pairForce.fx;
+      total.fy += pairForce.fy;
+      total.fz += pairForce.fz;
+    }
+
+    return total;
   }
 
   /**
    * Apply boundary conditions to a particle
    * 
    * PHOTONS: Bounce back elastically (reflect off walls like a mirror)
-   * ELECTRONS & PROTONS: Clamp to boundary and stop (velocity = 0)
+   * ELECTRONS & PROTONS: Each wall applies its own mode (see WALL_MODES)
+   *   - sticky: clamp to boundary and stop (velocity = 0)
+   *   - elastic / restitution: reflect the normal velocity, scaled by the restitution coefficient
+   *   - absorbing: clamp to boundary and flag the particle for removal at the end of the step
+   * PERIODIC MODE: Every particle wraps around to the opposite side
    */
   applyBoundaryConditions(particle) {
+    if (this.boundaryMode === 'periodic') {
+      // Periodic (toroidal) universe: leaving through a wall re-enters through the opposite one
+      const wrap = (value) => value - this.size * Math.floor(value / this.size);
+      particle.x = wrap(particle.x);
+      particle.y = wrap(particle.y);
+      if (this.mode3D) {
+        particle.z = wrap(particle.z);
+      }
+      return;
+    }
+
     if (particle.isPhoton) {
       // Photons bounce back elastically (reflect off walls)
 
@@ -599,34 +2026,38 @@ export class Universe {
         }
       }
     } else {
-      // Electrons and protons: clamp to boundary and stop
+      // Electrons and protons: the wall that was crossed on each axis decides what happens
+      const axes = this.mode3D ? ['x', 'y', 'z'] : ['x', 'y'];
       let hitBoundary = false;
 
-      // X-axis boundary conditions - clamp to closest boundary point
-      if (particle.x < 0) {
-        particle.x = 0;
-        hitBoundary = true;
-      } else if (particle.x > this.size) {
-        particle.x = this.size;
-        hitBoundary = true;
-      }
-
-      // Y-axis boundary conditions - clamp to closest boundary point
-      if (particle.y < 0) {
-        particle.y = 0;
-        hitBoundary = true;
-      } else if (particle.y > this.size) {
-        particle.y = this.size;
-        hitBoundary = true;
-      }
+      for (const axis of axes) {
+        const velocity = `v${axis}`;
+        let wall;
+        let boundary;
+        if (particle[axis] < 0) {
+          wall = `${axis}Min`;
+          boundary = 0;
+        } else if (particle[axis] > this.size) {
+          wall = `${axis}Max`;
+          boundary = this.size;
+        } else {
+          continue;
+        }
 
-      // Z-axis boundary conditions (3D only) - clamp to closest boundary point
-      if (this.mode3D) {
-        if (particle.z < 0) {
-          particle.z = 0;
-          hitBoundary = true;
-        } else if (particle.z > this.size) {
-          particle.z = this.size;
+        const mode = this.wallModes[wall];
+        if (mode === 'elastic' || mode === 'restitution') {
+          const restitution = mode === 'elastic' ? 1 : this.wallRestitution;
+          const inward = boundary === 0 ? 1 : -1;
+          // Mirror the overshoot back inside (shortened like the velocity) and reverse the normal velocity
+          const reflected = boundary + restitution * (boundary - particle[axis]);
+          particle[axis] = Math.min(Math.max(reflected, 0), this.size);
+          particle[velocity] = inward * restitution * Math.abs(particle[velocity]);
+        } else if (mode === 'absorbing') {
+          particle[axis] = boundary;
+          particle.absorbed = true;
+        } else {
+          // Sticky: clamp to closest boundary point
+          particle[axis] = boundary;
           hitBoundary = true;
         }
       }
@@ -659,6 +2090,7 @@ export class Universe {
    *    - Uses Euler integration to update velocity based on acceleration
    *    - dt is the time step (small time interval)
    *    - Velocity accumulates over time due to continuous acceleration
+   *    - In relativistic mode the momentum is updated instead (see kick)
    * 
    * 3. POSITION UPDATE: x_new = x_old + v * dt
    *    - Uses Euler integration to update position based on current velocity
@@ -667,24 +2099,17 @@ export class Universe {
    * The function skips particles that are:
    * - Fixed in place (particle.fixed = true)
    * - Protons when staticProtons mode is enabled
-   * - Photons move in straight lines (no forces applied)
+   * - Photons move in straight lines at the speed of light (no forces applied)
    * 
    * After updating physics, it applies boundary conditions to prevent particles
    * from leaving the simulation space.
+   *
+   * Used by the 'euler' integrator (see integrateEuler).
    */
-  updateParticleMotion(particle, forceX, forceY, forceZ) {
+  updateParticleMotion(particle, forceX, forceY, forceZ, dt = this.dt) {
     // Photons move in straight lines (no forces applied)
     if (particle.isPhoton) {
-      // Update position only (constant velocity)
-      particle.x += particle.vx * this.dt;
-      particle.y += particle.vy * this.dt;
-      if (this.mode3D) {
-        particle.z += particle.vz * this.dt;
-      }
-      // Increment photon age (for absorption eligibility)
-      particle.age++;
-      // Apply boundary conditions (photons disappear at boundaries)
-      this.applyBoundaryConditions(particle);
+      this.movePhoton(particle, dt);
       return;
     }
 
@@ -697,30 +2122,21 @@ export class Universe {
     if (particle.fixed) return;
 
     // Skip protons if staticProtons is enabled
-    if (this.staticProtons && particle.charge > 0) return;
+    if (this.staticProtons && particle.species === 'proton') return;
 
     // Step 1: Calculate acceleration from force (Newton's second law: a = F / m)
-    let ax = forceX / particle.mass;
-    let ay = forceY / particle.mass;
-    let az = this.mode3D ? (forceZ / particle.mass) : 0;
-
-    // Store acceleration for diagnostics
-    particle.accelerationX = ax;
-    particle.accelerationY = ay;
-    particle.accelerationZ = az;
+    // and store it for diagnostics
+    const force = { fx: forceX, fy: forceY, fz: forceZ };
+    this.recordAcceleration(particle, force);
 
     // Step 2: Update velocity using Euler integration (v = v0 + a * dt)
-    particle.vx += ax * this.dt;
-    particle.vy += ay * this.dt;
-    if (this.mode3D) {
-      particle.vz += az * this.dt;
-    }
+    this.kick(particle, force, dt);
 
     // Step 3: Update position using Euler integration (x = x0 + v * dt)
-    particle.x += particle.vx * this.dt;
-    particle.y += particle.vy * this.dt;
+    particle.x += particle.vx * dt;
+    particle.y += particle.vy * dt;
     if (this.mode3D) {
-      particle.z += particle.vz * this.dt;
+      particle.z += particle.vz * dt;
     }
 
     // Apply boundary conditions to keep particles within the simulation space
@@ -728,143 +2144,1290 @@ export class Universe {
   }
 
   /**
-   * Perform one simulation step
+   * Check whether a particle is moved by forces
+   *
+   * Photons move ballistically, fixed particles never move, and protons stay
+   * in place when staticProtons mode is enabled.
+   *
+   * @param {Particle} particle - Particle to check
+   * @returns {boolean} True if forces should update the particle's motion
    */
-  step() {
-    // log number of particles per types
-    if (Math.random() < 0.005) { // ~0.5% chance, i.e. once every 200 times
-      console.log('Number of particles:', this.particles.length);
-      console.log('Number of electrons:', this.particles.filter(particle => particle.charge < 0).length);
-      console.log('Number of protons:', this.particles.filter(particle => particle.charge > 0).length);
-      console.log('Number of photons:', this.particles.filter(particle => particle.isPhoton).length);
-      console.log('Sum of positive charges:', this.particles.filter(particle => particle.charge > 0).reduce((sum, p) => sum + p.charge, 0));
-      console.log('Sum of negative charges:', this.particles.filter(particle => particle.charge < 0).reduce((sum, p) => sum + p.charge, 0));
-    }
-
-    // Compute and log total energy of the system
-    // const energy = calculateTotalEnergy(this);
-    // console.log('Total Energy:', energy.total.toExponential(6),
-    //   '| Kinetic:', energy.kinetic.toExponential(6),
-    //   '| Photon:', energy.photon.toExponential(6),
-    //   '| Electrostatic:', energy.electrostatic.toExponential(6));
+  isMobile(particle) {
+    if (particle.isPhoton || particle.fixed) return false;
+    if (this.staticProtons && particle.species === 'proton') return false;
+    return true;
+  }
 
-    // Handle photon-electron collisions and energy transfer
-    this.handlePhotonElectronCollisions();
+  /**
+   * Add the forces of bonds and angle terms
+   *
+   * @param {Array} forces - Force vectors {fx, fy, fz} to accumulate into, aligned with this.particles
+   */
+  accumulateBondForces(forces) {
+    if (this.bonds.length === 0 && this.angles.length === 0) return;
+
+    const indexById = this.particleIndexById();
+    const add = (index, force, sign = 1) => {
+      forces[index].fx += sign * force.fx;
+      forces[index].fy += sign * force.fy;
+      forces[index].fz += sign * force.fz;
+    };
 
-    // Check electron speeds and emit photons if needed (at the beginning of step)
-    this.checkAndEmitPhotons();
+    for (let bond of this.bonds) {
+      const i = indexById.get(bond.a);
+      const j = indexById.get(bond.b);
+      if (i === undefined || j === undefined) continue;
 
-    // Calculate forces on each particle
-    const forces = this.particles.map(() => ({
-      fx: 0, fy: 0, fz: 0
-    }));
+      const force = this.calculateBondForce(bond, this.particles[i], this.particles[j]);
+      add(i, force);
+      add(j, force, -1);
+    }
 
-    // Reset force tracking for all particles
-    for (let i = 0; i < this.particles.length; i++) {
-      this.particles[i].forceElectroX = 0;
-      this.particles[i].forceElectroY = 0;
-      this.particles[i].forceElectroZ = 0;
+    for (let angle of this.angles) {
+      const indices = [angle.a, angle.b, angle.c].map(id => indexById.get(id));
+      if (indices.includes(undefined)) continue;
+
+      const angleForces = this.calculateAngleForces(angle, ...indices.map(index => this.particles[index]));
+      indices.forEach((index, n) => add(index, angleForces[n]));
     }
+  }
+
+  /**
+   * Add a long-range pair force with the exact pairwise double loop (O(n²))
+   *
+   * @param {Array} forces - Force vectors {fx, fy, fz} to accumulate into, aligned with this.particles
+   * @param {Object} force - Pair force plugin (see forces.js)
+   */
+  accumulatePairwiseForces(forces, force) {
+    // Photons and species without the force's interaction don't interact
+    const interacting = this.particles.map(particle => this.takesPart(particle, force.interaction));
 
     for (let i = 0; i < this.particles.length; i++) {
-      // Skip photons - they don't interact with other particles
-      if (this.particles[i].isPhoton) continue;
+      if (!interacting[i]) continue;
 
       for (let j = i + 1; j < this.particles.length; j++) {
-        // Skip photons - they don't interact with other particles
-        if (this.particles[j].isPhoton) continue;
+        if (!interacting[j]) continue;
 
-        const force = this.calculateForce(this.particles[i], this.particles[j]);
+        const pairForce = force.force(this, this.particles[i], this.particles[j]);
 
         // Newton's third law: equal and opposite forces
+        forces[i].fx += pairForce.fx;
+        forces[i].fy += pairForce.fy;
+        forces[i].fz += pairForce.fz;
+
+        forces[j].fx -= pairForce.fx;
+        forces[j].fy -= pairForce.fy;
+        forces[j].fz -= pairForce.fz;
+      }
+    }
+  }
+
+  /**
+   * Add short-range forces (short-range registered forces such as the strong force,
+   * pair potentials) for pairs closer than shortRangeCutoff
+   *
+   * Neighbouring pairs are found with a uniform-grid cell list (see cellList.js),
+   * so the cost stays linear in the number of particles.
+   *
+   * @param {Array} forces - Force vectors {fx, fy, fz} to accumulate into, aligned with this.particles
+   */
+  accumulateShortRangeForces(forces) {
+    const shortRangeForces = this.enabledForces('pair', 'short');
+    if (shortRangeForces.length === 0 && this.pairPotentials.length === 0) return;
+
+    const cellList = new CellList(
+      this.particles,
+      this.shortRangeCutoff,
+      this.mode3D,
+      this.boundaryMode === 'periodic' ? this.size : 0
+    );
+    cellList.forEachPair((i, j) => {
+      const p1 = this.particles[i];
+      const p2 = this.particles[j];
+      const force = this.calculatePairPotentialForce(p1, p2);
+
+      for (let shortRangeForce of shortRangeForces) {
+        if (!this.takesPart(p1, shortRangeForce.interaction) || !this.takesPart(p2, shortRangeForce.interaction)) continue;
+
+        const pairForce = shortRangeForce.force(this, p1, p2);
+        force.fx += pairForce.fx;
+        force.fy += pairForce.fy;
+        force.fz += pairForce.fz;
+      }
+
+      // Newton's third law: equal and opposite forces
+      forces[i].fx += force.fx;
+      forces[i].fy += force.fy;
+      forces[i].fz += force.fz;
+
+      forces[j].fx -= force.fx;
+      forces[j].fy -= force.fy;
+      forces[j].fz -= force.fz;
+    });
+  }
+
+  /**
+   * Add electrostatic forces computed with a Barnes-Hut tree (see barnesHut.js)
+   *
+   * @param {Array} forces - Force vectors {fx, fy, fz} to accumulate into, aligned with this.particles
+   */
+  accumulateBarnesHutForces(forces) {
+    const sources = this.particles.filter(particle => this.takesPart(particle, 'electromagnetic'));
+    const tree = new BarnesHutTree(sources, this.mode3D, this.boundaryMode === 'periodic' ? this.size : 0);
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      if (particle.charge === 0 || !this.takesPart(particle, 'electromagnetic')) continue;
+
+      tree.forEachSource(particle, this.barnesHutTheta, (charge, x, y, z) => {
+        const force = this.calculateElectrostaticForceFromCharge(particle, charge, x, y, z);
         forces[i].fx += force.fx;
         forces[i].fy += force.fy;
         forces[i].fz += force.fz;
+      });
+    }
+  }
+  /**
+   * Compare the Barnes-Hut electrostatic forces with the exact pairwise sum on the current
+   * particles, with walls and in periodic mode (the tree must match both equally well)
+   *
+   * Error = √(Σ |F_tree - F_exact|² / Σ |F_exact|²) over all particles, at the current barnesHutTheta
+   *
+   * @returns {Object} {theta, particleCount, walls, periodic} relative RMS errors, also kept in barnesHutCheck
+   */
+  checkBarnesHutAccuracy() {
+    const electrostatic = FORCE_PLUGINS.find(force => force.id === 'electrostatic');
+    const boundaryMode = this.boundaryMode;
+    const errors = {};
+
+    for (let mode of ['walls', 'periodic']) {
+      // minimumImage and the tree follow boundaryMode
+      this.boundaryMode = mode;
+      const treeForces = this.particles.map(() => ({ fx: 0, fy: 0, fz: 0 }));
+      const exactForces = this.particles.map(() => ({ fx: 0, fy: 0, fz: 0 }));
+      this.accumulateBarnesHutForces(treeForces);
+      this.accumulatePairwiseForces(exactForces, electrostatic);
+
+      let difference = 0, norm = 0;
+      treeForces.forEach((tree, i) => {
+        const exact = exactForces[i];
+        difference += (tree.fx - exact.fx) ** 2 + (tree.fy - exact.fy) ** 2 + (tree.fz - exact.fz) ** 2;
+        norm += exact.fx ** 2 + exact.fy ** 2 + exact.fz ** 2;
+      });
+      errors[mode] = norm > 0 ? Math.sqrt(difference / norm) : 0;
+    }
+    this.boundaryMode = boundaryMode;
+
+    this.barnesHutCheck = { theta: this.barnesHutTheta, particleCount: this.particles.length, ...errors };
+    return this.barnesHutCheck;
+  }
+
+
+  /**
+   * Calculate the total force acting on every particle at the current positions
+   *
+   * Sums the registered pair forces (electrostatic, strong, Newton's third law), bonds
+   * and the registered external forces (gravity toward the center, ground gravity),
+   * then the external electric and magnetic fields. The result is also stored on each
+   * particle for diagnostics.
+   *
+   * Long-range electrostatics uses the exact pairwise loop or the Barnes-Hut tree
+   * depending on forceSolver. Short-range forces only act within shortRangeCutoff.
+   *
+   * @returns {Array} Force vectors {fx, fy, fz}, aligned with this.particles
+   */
+  computeForces(includeMagnetic = true) {
+    const forces = this.particles.map(() => ({
+      fx: 0, fy: 0, fz: 0
+    }));
+
+    // Long-range pair forces (the electrostatic force picks the pairwise loop or the Barnes-Hut tree itself)
+    for (let force of this.enabledForces('pair', 'long')) {
+      if (force.accumulate) {
+        force.accumulate(this, forces, force);
+      } else {
+        this.accumulatePairwiseForces(forces, force);
+      }
+    }
+
+    // Short-range forces, only between neighbours closer than the cutoff
+    this.accumulateShortRangeForces(forces);
+
+    // Bonds and angle terms between particles
+    this.accumulateBondForces(forces);
+
+    // Apply the registered external forces (gravity toward the center, ground gravity toward y=1)
+    for (let force of this.enabledForces('external')) {
+      for (let i = 0; i < this.particles.length; i++) {
+        // Skip photons and species without the force's interaction
+        if (!this.takesPart(this.particles[i], force.interaction)) continue;
 
-        forces[j].fx -= force.fx;
-        forces[j].fy -= force.fy;
-        forces[j].fz -= force.fz;
+        const externalForce = force.force(this, this.particles[i]);
+        forces[i].fx += externalForce.fx;
+        forces[i].fy += externalForce.fy;
+        forces[i].fz += externalForce.fz;
       }
     }
 
-    // Apply gravitational force (attracts particles toward center at 0.5, 0.5, 0.5)
-    if (this.gravityEnabled) {
+    // Apply external electric fields: F = q × E
+    if (this.externalElectricFields.length > 0) {
       for (let i = 0; i < this.particles.length; i++) {
-        // Skip photons - they are not affected by gravity
-        if (this.particles[i].isPhoton) continue;
+        const particle = this.particles[i];
+        if (particle.charge === 0 || !this.takesPart(particle, 'electromagnetic')) continue;
 
-        const gravityForce = this.calculateGravityForce(this.particles[i]);
+        const field = this.calculateExternalElectricField(particle.x, particle.y, particle.z);
 
-        // Add gravity force to total forces
-        forces[i].fx += gravityForce.fx;
-        forces[i].fy += gravityForce.fy;
-        forces[i].fz += gravityForce.fz;
+        forces[i].fx += particle.charge * field.ex;
+        forces[i].fy += particle.charge * field.ey;
+        forces[i].fz += particle.charge * field.ez;
       }
     }
 
-    // Apply ground gravitational force (attracts particles toward y=1)
-    if (this.groundGravityEnabled) {
+    // Apply the magnetic Lorentz force at the current velocities (the Boris push rotates velocities itself)
+    if (includeMagnetic && this.hasMagneticField()) {
       for (let i = 0; i < this.particles.length; i++) {
-        // Skip photons - they are not affected by gravity
-        if (this.particles[i].isPhoton) continue;
+        const particle = this.particles[i];
+        if (!this.isMobile(particle) || particle.charge === 0 || !this.takesPart(particle, 'electromagnetic')) continue;
 
-        const groundGravityForce = this.calculateGroundGravityForce(this.particles[i]);
+        const field = this.calculateMagneticField(particle.x, particle.y, particle.z, particle);
+        const lorentzForce = this.calculateLorentzForce(particle, field);
 
-        // Add ground gravity force to total forces
-        forces[i].fx += groundGravityForce.fx;
-        forces[i].fy += groundGravityForce.fy;
-        forces[i].fz += groundGravityForce.fz;
+        forces[i].fx += lorentzForce.fx;
+        forces[i].fy += lorentzForce.fy;
+        forces[i].fz += lorentzForce.fz;
       }
     }
 
-    // Update velocities and positions using Euler integration
+    // Store force information for diagnostics
     for (let i = 0; i < this.particles.length; i++) {
-      this.updateParticleMotion(this.particles[i], forces[i].fx, forces[i].fy, forces[i].fz);
+      const particle = this.particles[i];
+      if (particle.isPhoton) continue;
+      particle.forceElectroX = forces[i].fx;
+      particle.forceElectroY = forces[i].fy;
+      particle.forceElectroZ = forces[i].fz;
     }
+
+    return forces;
   }
 
   /**
-   * Run multiple steps
+   * Store the acceleration produced by a force on a particle (for diagnostics)
    */
-  runSteps(n) {
-    for (let i = 0; i < n; i++) {
-      this.step();
-    }
+  recordAcceleration(particle, force) {
+    const { ax, ay, az } = this.acceleration(particle, force);
+    particle.accelerationX = ax;
+    particle.accelerationY = ay;
+    particle.accelerationZ = az;
   }
 
-  setElectrostaticCoefficient(k) {
-    this.electrostaticCoefficient = k;
+  /**
+   * Lorentz factor γ = 1 / √(1 - v²/c²) of a particle (always 1 in classical mode)
+   */
+  lorentzFactor(particle) {
+    if (!this.relativistic || particle.isPhoton) return 1;
+
+    const vz = this.mode3D ? particle.vz : 0;
+    const betaSquared = (particle.vx * particle.vx + particle.vy * particle.vy + vz * vz) /
+      (this.speedOfLight * this.speedOfLight);
+    // Other velocity changes (thermostat, collisions) could push v to c: keep γ finite
+    return 1 / Math.sqrt(Math.max(1 - betaSquared, 1e-12));
   }
 
-  setStaticProtons(enabled) {
-    this.staticProtons = enabled;
-  }
+  /**
+   * Kinetic energy of a massive particle
+   * - classical: ½ m v²
+   * - relativistic: (γ - 1) m c², computed as m v² γ² / (γ + 1) to stay accurate when v ≪ c
+   */
+  kineticEnergy(particle) {
+    const vz = this.mode3D ? particle.vz : 0;
+    const speedSquared = particle.vx * particle.vx + particle.vy * particle.vy + vz * vz;
+    if (!this.relativistic) return 0.5 * particle.mass * speedSquared;
 
-  setStrongForceEnabled(enabled) {
-    this.strongForceEnabled = enabled;
+    const gamma = this.lorentzFactor(particle);
+    return particle.mass * speedSquared * gamma * gamma / (gamma + 1);
   }
 
-  setStrongForceCoefficient(k) {
-    this.strongForceCoefficient = k;
+  /**
+   * Speed of a particle of the given mass carrying a kinetic energy (inverse of kineticEnergy)
+   * - classical: v = √(2 E / m)
+   * - relativistic: with x = E / (m c²), γ = 1 + x and v = c √(x (2 + x)) / (1 + x) < c
+   */
+  speedForKineticEnergy(mass, energy) {
+    if (!this.relativistic) return Math.sqrt(2 * energy / mass);
+
+    const x = energy / (mass * this.speedOfLight * this.speedOfLight);
+    return this.speedOfLight * Math.sqrt(x * (2 + x)) / (1 + x);
   }
 
-  setGravityEnabled(enabled) {
-    this.gravityEnabled = enabled;
+  /**
+   * Set a particle's velocity from its proper velocity u = γ v: v = u / √(1 + u²/c²)
+   */
+  setProperVelocity(particle, ux, uy, uz) {
+    const uSquared = ux * ux + uy * uy + (this.mode3D ? uz * uz : 0);
+    const gamma = Math.sqrt(1 + uSquared / (this.speedOfLight * this.speedOfLight));
+    particle.vx = ux / gamma;
+    particle.vy = uy / gamma;
+    if (this.mode3D) {
+      particle.vz = uz / gamma;
+    }
   }
 
-  setGravityCoefficient(k) {
-    this.gravityCoefficient = k;
+  /**
+   * Change a particle's velocity under a force during dt
+   *
+   * PHYSICS PRINCIPLE: dp/dt = F, with p = m v classically and p = γ m v in relativistic mode
+   *
+   * HOW IT WORKS:
+   * - classical: v ← v + (F/m) × dt
+   * - relativistic: the proper velocity u = γ v = p / m gets u ← u + (F/m) × dt,
+   *   then v = u / √(1 + u²/c²), which stays below c however large the force
+   *
+   * @param {Particle} particle - Massive particle to accelerate
+   * @param {Object} force - Force vector {fx, fy, fz}
+   * @param {number} dt - Duration of the kick
+   */
+  kick(particle, force, dt) {
+    if (!this.relativistic) {
+      particle.vx += (force.fx / particle.mass) * dt;
+      particle.vy += (force.fy / particle.mass) * dt;
+      if (this.mode3D) {
+        particle.vz += (force.fz / particle.mass) * dt;
+      }
+      return;
+    }
+
+    const gamma = this.lorentzFactor(particle);
+    this.setProperVelocity(
+      particle,
+      gamma * particle.vx + (force.fx / particle.mass) * dt,
+      gamma * particle.vy + (force.fy / particle.mass) * dt,
+      this.mode3D ? gamma * particle.vz + (force.fz / particle.mass) * dt : 0
+    );
+  }
+
+  /**
+   * Acceleration of a massive particle under a force
+   * - classical: a = F / m
+   * - relativistic: a = (F - (v · F) v / c²) / (γ m), smaller along the motion as v approaches c
+   *
+   * @returns {Object} Acceleration {ax, ay, az}
+   */
+  acceleration(particle, force) {
+    const fz = this.mode3D ? force.fz : 0;
+    if (!this.relativistic) {
+      return { ax: force.fx / particle.mass, ay: force.fy / particle.mass, az: fz / particle.mass };
+    }
+
+    const vz = this.mode3D ? particle.vz : 0;
+    const power = (particle.vx * force.fx + particle.vy * force.fy + vz * fz) /
+      (this.speedOfLight * this.speedOfLight);
+    const inertia = this.lorentzFactor(particle) * particle.mass;
+    return {
+      ax: (force.fx - power * particle.vx) / inertia,
+      ay: (force.fy - power * particle.vy) / inertia,
+      az: (fz - power * vz) / inertia
+    };
+  }
+
+  /**
+   * Move a photon in a straight line at exactly the speed of light and age it
+   */
+  movePhoton(particle, dt) {
+    // Photons created or loaded with another speed keep their direction but move at c
+    const vz = this.mode3D ? particle.vz : 0;
+    const speed = Math.sqrt(particle.vx * particle.vx + particle.vy * particle.vy + vz * vz);
+    if (speed > 0 && speed !== this.speedOfLight) {
+      const scale = this.speedOfLight / speed;
+      particle.vx *= scale;
+      particle.vy *= scale;
+      if (this.mode3D) {
+        particle.vz *= scale;
+      }
+    }
+
+    particle.x += particle.vx * dt;
+    particle.y += particle.vy * dt;
+    if (this.mode3D) {
+      particle.z += particle.vz * dt;
+    }
+    // Increment photon age (for absorption eligibility)
+    particle.age++;
+    // Apply boundary conditions (photons bounce off walls)
+    this.applyBoundaryConditions(particle);
+  }
+
+  /**
+   * Move photons in straight lines at the speed of light and age them
+   */
+  advancePhotons(dt) {
+    for (let particle of this.particles) {
+      if (particle.isPhoton) {
+        this.movePhoton(particle, dt);
+      }
+    }
+  }
+
+  /**
+   * Semi-implicit Euler integration (default scheme)
+   *
+   * v_new = v + a(x) × dt, then x_new = x + v_new × dt.
+   * First order: energy drifts noticeably over long runs.
+   */
+  integrateEuler(dt) {
+    const forces = this.computeForces();
+
+    for (let i = 0; i < this.particles.length; i++) {
+      this.updateParticleMotion(this.particles[i], forces[i].fx, forces[i].fy, forces[i].fz, dt);
+    }
+  }
+
+  /**
+   * Velocity Verlet integration
+   *
+   * PHYSICS PRINCIPLE: Time-reversible, symplectic second-order scheme
+   *
+   * HOW IT WORKS:
+   * 1. HALF KICK: v_half = v + a(x) × dt/2
+   * 2. DRIFT: x_new = x + v_half × dt
+   * 3. HALF KICK: v_new = v_half + a(x_new) × dt/2
+   *
+   * Forces are evaluated at the start and at the end of the step, so particles
+   * added, removed or moved between steps never see stale accelerations.
+   */
+  integrateVelocityVerlet(dt) {
+    const forces = this.computeForces();
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      if (!this.isMobile(particle)) continue;
+
+      this.kick(particle, forces[i], dt / 2);
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      if (this.mode3D) {
+        particle.z += particle.vz * dt;
+      }
+      this.applyBoundaryConditions(particle);
+    }
+
+    this.advancePhotons(dt);
+
+    const newForces = this.computeForces();
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      if (!this.isMobile(particle)) continue;
+
+      this.kick(particle, newForces[i], dt / 2);
+      this.recordAcceleration(particle, newForces[i]);
+    }
+  }
+
+  /**
+   * Leapfrog integration (drift-kick-drift)
+   *
+   * PHYSICS PRINCIPLE: Symplectic second-order scheme with a single force evaluation
+   *
+   * HOW IT WORKS:
+   * 1. HALF DRIFT: x_half = x + v × dt/2
+   * 2. KICK: v_new = v + a(x_half) × dt
+   * 3. HALF DRIFT: x_new = x_half + v_new × dt/2
+   */
+  integrateLeapfrog(dt) {
+    const mobile = this.particles.filter(particle => this.isMobile(particle));
+
+    for (let particle of mobile) {
+      particle.x += particle.vx * dt / 2;
+      particle.y += particle.vy * dt / 2;
+      if (this.mode3D) {
+        particle.z += particle.vz * dt / 2;
+      }
+    }
+
+    const forces = this.computeForces();
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      if (!this.isMobile(particle)) continue;
+
+      this.kick(particle, forces[i], dt);
+      particle.x += particle.vx * dt / 2;
+      particle.y += particle.vy * dt / 2;
+      if (this.mode3D) {
+        particle.z += particle.vz * dt / 2;
+      }
+      this.recordAcceleration(particle, forces[i]);
+      this.applyBoundaryConditions(particle);
+    }
+
+    this.advancePhotons(dt);
+  }
+
+  /**
+   * Classical fourth-order Runge-Kutta integration
+   *
+   * PHYSICS PRINCIPLE: Solves dx/dt = v, dv/dt = F(x) / m to fourth order
+   *
+   * HOW IT WORKS:
+   * 1. Evaluate the derivatives (k1..k4) at the start, twice at the midpoint
+   *    and at the end of the step, moving mobile particles to each trial state
+   * 2. Combine them: y_new = y + dt/6 × (k1 + 2×k2 + 2×k3 + k4)
+   *
+   * Very accurate per step but not symplectic: energy slowly drifts over very long runs.
+   */
+  integrateRK4(dt) {
+    const indices = [];
+    for (let i = 0; i < this.particles.length; i++) {
+      if (this.isMobile(this.particles[i])) indices.push(i);
+    }
+    const initial = indices.map(i => {
+      const p = this.particles[i];
+      return [p.x, p.y, p.z, p.vx, p.vy, p.vz];
+    });
+
+    // Move mobile particles to state y0 + scale × k and return the derivative there
+    const evaluate = (k, scale) => {
+      indices.forEach((index, n) => {
+        const p = this.particles[index];
+        const state = initial[n].map((value, c) => value + (k ? k[n][c] * scale : 0));
+        [p.x, p.y, p.z, p.vx, p.vy, p.vz] = state;
+      });
+      const forces = this.computeForces();
+      return indices.map(index => {
+        const p = this.particles[index];
+        const { ax, ay, az } = this.acceleration(p, forces[index]);
+        return [p.vx, p.vy, p.vz, ax, ay, az];
+      });
+    };
+
+    const k1 = evaluate(null, 0);
+    const k2 = evaluate(k1, dt / 2);
+    const k3 = evaluate(k2, dt / 2);
+    const k4 = evaluate(k3, dt);
+
+    indices.forEach((index, n) => {
+      const p = this.particles[index];
+      const state = initial[n].map((value, c) =>
+        value + (dt / 6) * (k1[n][c] + 2 * k2[n][c] + 2 * k3[n][c] + k4[n][c])
+      );
+      [p.x, p.y, p.z, p.vx, p.vy, p.vz] = state;
+      if (!this.mode3D) {
+        p.z = initial[n][2];
+        p.vz = initial[n][5];
+      }
+      p.accelerationX = k1[n][3];
+      p.accelerationY = k1[n][4];
+      p.accelerationZ = k1[n][5];
+      this.applyBoundaryConditions(p);
+    });
+
+    this.advancePhotons(dt);
+  }
+
+  /**
+   * Boris push integration
+   *
+   * PHYSICS PRINCIPLE: Standard particle-in-cell scheme for charges in magnetic fields.
+   * The magnetic force does no work, and the Boris rotation preserves the speed exactly,
+   * so cyclotron orbits neither spiral in nor out however long the run.
+   *
+   * HOW IT WORKS (drift-kick-drift like leapfrog, with the kick split around the rotation):
+   * 1. HALF DRIFT: x_half = x + v × dt/2, where the forces and fields are evaluated
+   * 2. HALF KICK: v⁻ = v + (F/m) × dt/2, with every velocity-independent force F
+   * 3. ROTATION: t = (q B / m) × dt/2, s = 2t / (1 + t²)
+   *    v' = v⁻ + v⁻ × t, then v⁺ = v⁻ + v' × s
+   * 4. HALF KICK: v_new = v⁺ + (F/m) × dt/2
+   * 5. HALF DRIFT: x_new = x_half + v_new × dt/2
+   *
+   * Positions and velocities are synchronised at the end of each step, so the reported
+   * energy is that of a consistent state. Without a magnetic field this is exactly leapfrog.
+   * In relativistic mode the kicks and rotation act on the proper velocity u = γ v, with
+   * t = (q B / (γ m)) × dt/2 where γ = √(1 + u⁻²/c²) (see kick).
+   * In 2D only Bz is used, so velocities stay in the plane.
+   * The field of moving charges is taken at the half-step positions and the starting velocities.
+   */
+  integrateBoris(dt) {
+    // Step 1: half drift
+    for (let particle of this.particles) {
+      if (!this.isMobile(particle)) continue;
+
+      particle.x += particle.vx * dt / 2;
+      particle.y += particle.vy * dt / 2;
+      if (this.mode3D) {
+        particle.z += particle.vz * dt / 2;
+      }
+    }
+
+    const forces = this.computeForces(false);
+    const magnetic = this.hasMagneticField();
+    const fields = this.particles.map(particle =>
+      magnetic && this.isMobile(particle) && particle.charge !== 0 && this.takesPart(particle, 'electromagnetic')
+        ? this.calculateMagneticField(particle.x, particle.y, particle.z, particle)
+        : null
+    );
+
+    for (let i = 0; i < this.particles.length; i++) {
+      const particle = this.particles[i];
+      if (!this.isMobile(particle)) continue;
+
+      const { fx, fy } = forces[i];
+      const fz = this.mode3D ? forces[i].fz : 0;
+      const gamma = this.lorentzFactor(particle);
+
+      // Step 2: half kick (on the proper velocity γ v, which is v itself in classical mode)
+      let vx = gamma * particle.vx + (fx / particle.mass) * dt / 2;
+      let vy = gamma * particle.vy + (fy / particle.mass) * dt / 2;
+      let vz = gamma * particle.vz + (fz / particle.mass) * dt / 2;
+
+      // Step 3: rotation around B
+      if (fields[i]) {
+        const rotationGamma = this.relativistic
+          ? Math.sqrt(1 + (vx * vx + vy * vy + (this.mode3D ? vz * vz : 0)) / (this.speedOfLight * this.speedOfLight))
+          : 1;
+        const factor = (particle.charge / (particle.mass * rotationGamma)) * dt / 2;
+        const tx = this.mode3D ? fields[i].bx * factor : 0;
+        const ty = this.mode3D ? fields[i].by * factor : 0;
+        const tz = fields[i].bz * factor;
+        const sFactor = 2 / (1 + tx * tx + ty * ty + tz * tz);
+
+        const px = vx + (vy * tz - vz * ty);
+        const py = vy + (vz * tx - vx * tz);
+        const pz = vz + (vx * ty - vy * tx);
+
+        vx += (py * tz - pz * ty) * sFactor;
+        vy += (pz * tx - px * tz) * sFactor;
+        vz += (px * ty - py * tx) * sFactor;
+      }
+
+      // Step 4: half kick
+      vx += (fx / particle.mass) * dt / 2;
+      vy += (fy / particle.mass) * dt / 2;
+      vz += (fz / particle.mass) * dt / 2;
+      if (this.relativistic) {
+        this.setProperVelocity(particle, vx, vy, vz);
+      } else {
+        particle.vx = vx;
+        particle.vy = vy;
+        if (this.mode3D) {
+          particle.vz = vz;
+        }
+      }
+
+      // Step 5: half drift
+      particle.x += particle.vx * dt / 2;
+      particle.y += particle.vy * dt / 2;
+      if (this.mode3D) {
+        particle.z += particle.vz * dt / 2;
+      }
+
+      this.recordAcceleration(particle, forces[i]);
+      this.applyBoundaryConditions(particle);
+    }
+
+    this.advancePhotons(dt);
+  }
+
+  /**
+   * Advance particle positions and velocities by dt with the selected integrator
+   */
+  integrate(dt) {
+    switch (this.integrator) {
+      case 'velocityVerlet':
+        this.integrateVelocityVerlet(dt);
+        break;
+      case 'leapfrog':
+        this.integrateLeapfrog(dt);
+        break;
+      case 'rk4':
+        this.integrateRK4(dt);
+        break;
+      case 'boris':
+        this.integrateBoris(dt);
+        break;
+      case 'euler':
+      default:
+        this.integrateEuler(dt);
+        break;
+    }
+  }
+
+  /**
+   * Check whether a position lies in the viscous medium
+   */
+  isInMedium(particle) {
+    if (this.dragRegions.length === 0) return true;
+
+    return this.dragRegions.some(region =>
+      particle.x >= region.minX && particle.x <= region.maxX &&
+      particle.y >= region.minY && particle.y <= region.maxY &&
+      (!this.mode3D || (particle.z >= region.minZ && particle.z <= region.maxZ))
+    );
+  }
+
+  /**
+   * Slow down the mobile particles moving through the viscous medium
+   *
+   * PHYSICS PRINCIPLE: Drag opposes the velocity and turns kinetic energy into heat
+   * of the medium (electrophoresis, damped oscillations, terminal velocity)
+   *
+   * HOW IT WORKS (after each integration step of length dt, exact for the drag alone):
+   * - linear: m dv/dt = -γ v gives v ← v × e^(-γ dt / m)
+   * - quadratic: m dv/dt = -γ |v| v gives v ← v / (1 + γ |v| dt / m)
+   * Both only shrink the velocity, so strong drag can never reverse it (unlike an explicit force).
+   * The kinetic energy removed (classical or relativistic, see kineticEnergy) is added to dragEnergyLoss.
+   *
+   * @param {number} dt - Length of the step that was just taken
+   */
+  applyDrag(dt) {
+    for (let particle of this.particles) {
+      if (!this.isMobile(particle)) continue;
+
+      const coefficient = this.dragCoefficients[particle.species] ?? 0;
+      if (coefficient <= 0 || !this.isInMedium(particle)) continue;
+
+      const vz = this.mode3D ? particle.vz : 0;
+      const speedSquared = particle.vx * particle.vx + particle.vy * particle.vy + vz * vz;
+      if (speedSquared === 0) continue;
+
+      const scale = this.dragModel === 'quadratic'
+        ? 1 / (1 + coefficient * Math.sqrt(speedSquared) * dt / particle.mass)
+        : Math.exp(-coefficient * dt / particle.mass);
+
+      // Measured with kineticEnergy, so the loss matches the relativistic kinetic energy too
+      const kineticEnergyBefore = this.kineticEnergy(particle);
+      particle.vx *= scale;
+      particle.vy *= scale;
+      if (this.mode3D) particle.vz *= scale;
+      this.dragEnergyLoss += kineticEnergyBefore - this.kineticEnergy(particle);
+    }
+  }
+
+  /**
+   * Couple the mobile particles to a heat bath at targetTemperature
+   *
+   * PHYSICS PRINCIPLE: A thermostat exchanges energy with the particles so their
+   * kinetic temperature T = 2 KE / (d N) relaxes to T₀ within the time constant τ
+   *
+   * HOW IT WORKS (after each integration step of length dt):
+   * - berendsen: every velocity is scaled by λ = √(1 + dt/τ × (T₀/T - 1)),
+   *   clamped to [0.8, 1.25] so a cold or empty start can't blow up
+   * - langevin: v ← c v + √((1 - c²) T₀ / m) × N(0, 1) per component with c = e^(-dt/τ);
+   *   friction removes energy, the random kicks (drawn from the seeded generator) add it back
+   * - noseHoover: the friction variable follows dξ/dt = (T/T₀ - 1) / τ², then every
+   *   velocity is scaled by e^(-ξ dt); ξ < 0 heats the particles, ξ > 0 cools them
+   *
+   * @param {number} dt - Length of the step that was just taken
+   */
+  applyThermostat(dt) {
+    const mobile = this.particles.filter(particle => this.isMobile(particle));
+    if (mobile.length === 0) return;
+
+    let scale = null;
+    if (this.thermostat === 'berendsen') {
+      const temperature = calculateTemperature(this);
+      if (temperature <= 0) return;
+      const lambdaSquared = 1 + (dt / this.thermostatTimeConstant) * (this.targetTemperature / temperature - 1);
+      scale = Math.min(1.25, Math.max(0.8, Math.sqrt(Math.max(lambdaSquared, 0))));
+    } else if (this.thermostat === 'noseHoover') {
+      // ξ would diverge at T₀ = 0: use Berendsen or Langevin to cool to rest
+      if (this.targetTemperature <= 0) return;
+      const temperature = calculateTemperature(this);
+      const tau = this.thermostatTimeConstant;
+      this.thermostatFriction += (dt / (tau * tau)) * (temperature / this.targetTemperature - 1);
+      scale = Math.exp(-this.thermostatFriction * dt);
+    }
+
+    if (scale !== null) {
+      for (let particle of mobile) {
+        particle.vx *= scale;
+        particle.vy *= scale;
+        if (this.mode3D) particle.vz *= scale;
+      }
+      return;
+    }
+
+    if (this.thermostat === 'langevin') {
+      const damping = Math.exp(-dt / this.thermostatTimeConstant);
+      for (let particle of mobile) {
+        const kick = Math.sqrt((1 - damping * damping) * this.targetTemperature / particle.mass);
+        particle.vx = damping * particle.vx + kick * this.random.nextGaussian();
+        particle.vy = damping * particle.vy + kick * this.random.nextGaussian();
+        if (this.mode3D) {
+          particle.vz = damping * particle.vz + kick * this.random.nextGaussian();
+        }
+      }
+    }
+  }
+
+  /**
+   * Save positions, velocities and accelerations so a rejected step can be undone
+   */
+  captureState() {
+    return this.particles.map(p => [
+      p.x, p.y, p.z, p.vx, p.vy, p.vz, p.accelerationX, p.accelerationY, p.accelerationZ, p.age, p.absorbed
+    ]);
+  }
+
+  /**
+   * Restore a state saved with captureState
+   */
+  restoreState(state) {
+    this.particles.forEach((p, i) => {
+      [p.x, p.y, p.z, p.vx, p.vy, p.vz, p.accelerationX, p.accelerationY, p.accelerationZ, p.age, p.absorbed] = state[i];
+    });
+  }
+
+  /**
+   * Measure how far the last step of size dt went beyond the adaptive tolerances
+   *
+   * HOW IT WORKS:
+   * 1. ACCELERATION CRITERION: |a| × dt² compared with accelerationTolerance
+   *    - Large accelerations (close Coulomb passes) need smaller steps
+   *    - The default 1e-4 U keeps ordinary orbits at the largest step: an electron circling
+   *      a proton at r = 0.1 with the default softening moves 5e-6 U per step of 0.01 under its
+   *      acceleration, so only passes well inside the softening length or short-range
+   *      repulsions shrink dt
+   *
+   * 2. CLOSE ENCOUNTER CRITERION: |v_rel| × dt compared with closeEncounterTolerance × r
+   *    - A pair must not close more than a fraction of its distance in one step
+   *    - Since |v_rel| ≤ 2 × v_max, pairs farther than 8 × v_max × dt / closeEncounterTolerance
+   *      have an error below 0.25, which neither rejects the step nor stops dt from growing
+   *      (see integrateAdaptive): only closer pairs are visited, with a cell list of that cutoff
+   *
+   * @param {number} dt - Time step that was just taken
+   * @returns {number} Error ratio: <= 1 means the step is acceptable (exact from 0.25 up)
+   */
+  measureStepError(dt) {
+    let error = 0;
+    let maxSpeed = 0;
+
+    for (let p of this.particles) {
+      if (p.isPhoton) continue;
+
+      const vz = this.mode3D ? p.vz : 0;
+      maxSpeed = Math.max(maxSpeed, Math.sqrt(p.vx * p.vx + p.vy * p.vy + vz * vz));
+
+      if (this.isMobile(p)) {
+        const acceleration = Math.sqrt(
+          p.accelerationX * p.accelerationX +
+          p.accelerationY * p.accelerationY +
+          p.accelerationZ * p.accelerationZ
+        );
+        error = Math.max(error, acceleration * dt * dt / this.accelerationTolerance);
+      }
+    }
+
+    // Nothing moves: no pair can close in
+    if (maxSpeed === 0) return error;
+
+    const cellList = new CellList(
+      this.particles,
+      8 * maxSpeed * dt / this.closeEncounterTolerance,
+      this.mode3D,
+      this.boundaryMode === 'periodic' ? this.size : 0
+    );
+    cellList.forEachPair((i, j) => {
+      const p1 = this.particles[i];
+      const p2 = this.particles[j];
+      if (!this.isMobile(p1) && !this.isMobile(p2)) return;
+
+      const dx = this.minimumImage(p2.x - p1.x);
+      const dy = this.minimumImage(p2.y - p1.y);
+      const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      const dvx = p2.vx - p1.vx;
+      const dvy = p2.vy - p1.vy;
+      const dvz = this.mode3D ? (p2.vz - p1.vz) : 0;
+      const relativeSpeed = Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz);
+
+      if (distance > 0) {
+        error = Math.max(error, relativeSpeed * dt / (this.closeEncounterTolerance * distance));
+      }
+    });
+
+    return error;
+  }
+
+  /**
+   * Integrate one step with adaptive time stepping
+   *
+   * HOW IT WORKS:
+   * 1. Attempt a step with the current dt
+   * 2. If the step exceeds the tolerances (see measureStepError), undo it,
+   *    halve dt and retry (counted in rejectedSteps)
+   * 3. If the step is well within the tolerances, grow dt for the next step (up to maxDt)
+   *
+   * @returns {number} The time step actually taken
+   */
+  integrateAdaptive() {
+    this.dt = Math.min(Math.max(this.dt, this.minDt), this.maxDt);
+    const state = this.captureState();
+
+    for (;;) {
+      const dt = this.dt;
+      this.integrate(dt);
+      const error = this.measureStepError(dt);
+
+      if (error <= 1 || dt <= this.minDt) {
+        if (error < 0.25) {
+          this.dt = Math.min(dt * 1.25, this.maxDt);
+        }
+        return dt;
+      }
+
+      this.restoreState(state);
+      this.rejectedSteps++;
+      this.dt = Math.max(dt / 2, this.minDt);
+    }
+  }
+
+  /**
+   * Detect and resolve hard-sphere collisions
+   *
+   * PHYSICS PRINCIPLE: Impulsive contact force along the line of centres,
+   * equal and opposite on both particles, so momentum is conserved
+   *
+   * HOW IT WORKS:
+   * 1. DETECTION: Pairs closer than the sum of their radii, found with a cell list
+   *    whose cutoff is the largest possible contact distance
+   *
+   * 2. RESOLUTION: Only approaching pairs (v_rel · n < 0) collide; the impulse
+   *    J = -(1 + e) × (v_rel · n) / (1/m₁ + 1/m₂) along the normal n
+   *    - e = collisionRestitution: 1 is elastic, 0 is perfectly inelastic
+   *    - Immobile particles (fixed, static protons) act as infinite masses
+   *
+   * 3. SEPARATION: Overlapping particles are pushed apart along n in proportion
+   *    to their inverse masses, so they do not stay stuck inside each other
+   *
+   * The separation moves particles without any force doing work, so it changes the
+   * potential energy of the pair and its neighbours: the total energy is not conserved
+   * while collisions are on, even with e = 1 (momentum still is).
+   */
+  resolveCollisions() {
+    const maxRadius = this.particles.reduce((max, p) => p.isPhoton ? max : Math.max(max, p.radius), 0);
+    if (maxRadius <= 0) return;
+
+    const cellList = new CellList(
+      this.particles,
+      2 * maxRadius,
+      this.mode3D,
+      this.boundaryMode === 'periodic' ? this.size : 0
+    );
+    const moved = new Set();
+
+    cellList.forEachPair((i, j) => {
+      const p1 = this.particles[i];
+      const p2 = this.particles[j];
+      const contactDistance = p1.radius + p2.radius;
+      if (contactDistance <= 0) return;
+
+      const inverseMass1 = this.isMobile(p1) ? 1 / p1.mass : 0;
+      const inverseMass2 = this.isMobile(p2) ? 1 / p2.mass : 0;
+      const inverseMassSum = inverseMass1 + inverseMass2;
+      if (inverseMassSum === 0) return;
+
+      const dx = this.minimumImage(p2.x - p1.x);
+      const dy = this.minimumImage(p2.y - p1.y);
+      const dz = this.mode3D ? this.minimumImage(p2.z - p1.z) : 0;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (distance >= contactDistance || distance < 1e-12) return;
+
+      // Unit normal from p1 to p2
+      const nx = dx / distance;
+      const ny = dy / distance;
+      const nz = dz / distance;
+
+      // Push the particles apart so they just touch
+      const overlap = contactDistance - distance;
+      p1.x -= nx * overlap * inverseMass1 / inverseMassSum;
+      p1.y -= ny * overlap * inverseMass1 / inverseMassSum;
+      p1.z -= nz * overlap * inverseMass1 / inverseMassSum;
+      p2.x += nx * overlap * inverseMass2 / inverseMassSum;
+      p2.y += ny * overlap * inverseMass2 / inverseMassSum;
+      p2.z += nz * overlap * inverseMass2 / inverseMassSum;
+      moved.add(p1).add(p2);
+
+      // Separating pairs only needed the position correction
+      const normalVelocity = (p2.vx - p1.vx) * nx + (p2.vy - p1.vy) * ny + (p2.vz - p1.vz) * nz;
+      if (normalVelocity >= 0) return;
+
+      const impulse = -(1 + this.collisionRestitution) * normalVelocity / inverseMassSum;
+      p1.vx -= impulse * nx * inverseMass1;
+      p1.vy -= impulse * ny * inverseMass1;
+      p1.vz -= impulse * nz * inverseMass1;
+      p2.vx += impulse * nx * inverseMass2;
+      p2.vy += impulse * ny * inverseMass2;
+      p2.vz += impulse * nz * inverseMass2;
+      this.collisionCount++;
+    });
+
+    for (let particle of moved) {
+      if (this.isMobile(particle)) this.applyBoundaryConditions(particle);
+    }
+  }
+
+  /**
+   * Perform one simulation step
+   */
+  step() {
+    this.stepCount++;
+
+    // Handle photon-electron collisions and energy transfer
+    this.handlePhotonElectronCollisions();
+
+    // Check electron speeds and emit photons if needed (at the beginning of step)
+    this.checkAndEmitPhotons();
+
+    // Update velocities and positions with the selected integrator
+    let elapsed = this.dt;
+    if (this.adaptiveTimeStep) {
+      elapsed = this.integrateAdaptive();
+    } else {
+      this.integrate(this.dt);
+    }
+    this.simulationTime += elapsed;
+
+    // Dissipate energy in the viscous medium
+    if (this.dragEnabled) {
+      this.applyDrag(elapsed);
+    }
+
+    // Exchange energy with the heat bath
+    if (this.thermostat !== 'none') {
+      this.applyThermostat(elapsed);
+    }
+
+    // Resolve contacts between hard spheres
+    if (this.collisionsEnabled) {
+      this.resolveCollisions();
+    }
+
+    // Remove particles that reached an absorbing wall during the step
+    if (this.particles.some(particle => particle.absorbed)) {
+      this.particles = this.particles.filter(particle => !particle.absorbed);
+      this.pruneBonds();
+    }
+
+    if (this.stepCount % this.conservationSampleInterval === 0) {
+      this.sampleConservation();
+    }
+  }
+
+  /**
+   * Record the current energies and momenta in the conservation history
+   *
+   * Each sample holds the time, the kinetic, photon, electrostatic and total energies,
+   * the energy lost to drag, and the magnitudes of the linear and angular momentum
+   * (see energy.js). Only the last MAX_CONSERVATION_SAMPLES samples are kept.
+   */
+  sampleConservation() {
+    const energy = calculateTotalEnergy(this);
+    const sample = {
+      step: this.stepCount,
+      time: this.simulationTime,
+      kinetic: energy.kinetic,
+      photon: energy.photon,
+      electrostatic: energy.electrostatic,
+      total: energy.total,
+      dragLoss: energy.dragLoss,
+      momentum: calculateTotalMomentum(this).magnitude,
+      angularMomentum: calculateTotalAngularMomentum(this).magnitude
+    };
+    if (this.conservationReference === null) {
+      this.conservationReference = sample;
+    }
+    this.conservationHistory.push(sample);
+    if (this.conservationHistory.length > MAX_CONSERVATION_SAMPLES) {
+      this.conservationHistory.shift();
+    }
+  }
+
+  /**
+   * Restart the conservation history from the current state, which becomes the reference for drifts
+   */
+  clearConservationHistory() {
+    this.conservationHistory = [];
+    this.conservationReference = null;
+    this.sampleConservation();
+  }
+
+  /**
+   * Run multiple steps
+   */
+  runSteps(n) {
+    for (let i = 0; i < n; i++) {
+      this.step();
+    }
+  }
+
+  setStaticProtons(enabled) {
+    this.staticProtons = enabled;
   }
 
   setMode3D(enabled) {
     this.mode3D = enabled;
   }
 
-  setGroundGravityEnabled(enabled) {
-    this.groundGravityEnabled = enabled;
+  setBoundaryMode(mode) {
+    this.boundaryMode = mode;
+  }
+
+  /**
+   * Set the mode of some walls, e.g. {yMax: 'elastic'} (other walls are unchanged)
+   */
+  setWallModes(modes) {
+    this.wallModes = { ...this.wallModes, ...modes };
+  }
+
+  setWallRestitution(restitution) {
+    this.wallRestitution = restitution;
+  }
+
+  /**
+   * Set components of the uniform external magnetic field, e.g. {z: 0.5} (other components are unchanged)
+   */
+  setMagneticField(field) {
+    this.magneticField = { ...this.magneticField, ...field };
+  }
+
+  setCustomSpecies(customSpecies) {
+    this.customSpecies = customSpecies.map(species => ({ ...species, forces: { ...species.forces } }));
+    this.species = createSpeciesRegistry(this.customSpecies);
+  }
+
+  setCollisionsEnabled(enabled) {
+    this.collisionsEnabled = enabled;
+  }
+
+  setCollisionRestitution(restitution) {
+    this.collisionRestitution = restitution;
+  }
+
+  setExternalElectricFields(fields) {
+    this.externalElectricFields = fields.map(field => ({ ...field }));
+  }
+
+  setAttractors(attractors) {
+    this.attractors = attractors.map(attractor => ({ ...attractor }));
+  }
+
+  setMovingChargeMagneticField(enabled) {
+    this.movingChargeMagneticField = enabled;
+  }
+
+  setMagneticCoefficient(k) {
+    this.magneticCoefficient = k;
+  }
+
+  /**
+   * Restart the random number generator from a seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.random = new Random(this.seed);
+  }
+
+  /**
+   * Resume the random number generator from a saved state (see toSnapshot)
+   */
+  setRandomState(state) {
+    this.random.state = state >>> 0;
+  }
+
+  setConservationSampleInterval(steps) {
+    this.conservationSampleInterval = Math.max(1, Math.round(steps));
+  }
+
+  setPhotonEmissionEnabled(enabled) {
+    config.photonEmission.enabled = enabled;
+  }
+
+  setDragEnabled(enabled) {
+    this.dragEnabled = enabled;
+  }
+
+  setDragModel(model) {
+    this.dragModel = model;
+  }
+
+  setDragCoefficients(coefficients) {
+    this.dragCoefficients = coefficients;
+  }
+
+  setDragRegions(regions) {
+    this.dragRegions = regions;
+  }
+
+  setPhotonEmissionModel(model) {
+    this.photonEmissionModel = model;
+  }
+
+  setLarmorCoefficient(k) {
+    this.larmorCoefficient = k;
+  }
+
+  setLarmorPhotonEnergy(energy) {
+    this.larmorPhotonEnergy = energy;
+  }
+
+  setPhotonMomentumConservation(enabled) {
+    this.photonMomentumConservation = enabled;
+  }
+
+  setRelativistic(enabled) {
+    this.relativistic = enabled;
+  }
+
+  setSpeedOfLight(c) {
+    this.speedOfLight = c;
+  }
+
+  setThermostat(thermostat) {
+    this.thermostat = thermostat;
+    this.thermostatFriction = 0; // Each Nosé–Hoover run starts from rest
+  }
+
+  setTargetTemperature(temperature) {
+    this.targetTemperature = temperature;
+  }
+
+  setThermostatTimeConstant(tau) {
+    this.thermostatTimeConstant = tau;
+  }
+
+  setIntegrator(integrator) {
+    this.integrator = integrator;
+  }
+
+  setAdaptiveTimeStep(enabled) {
+    this.adaptiveTimeStep = enabled;
+    if (!enabled) {
+      this.dt = this.maxDt;
+    }
+  }
+
+  setForceSolver(solver) {
+    this.forceSolver = solver;
+  }
+
+  setBarnesHutTheta(theta) {
+    this.barnesHutTheta = theta;
+  }
+
+  setPairPotentials(potentials) {
+    this.pairPotentials = potentials;
+  }
+
+  setShortRangeCutoff(cutoff) {
+    this.shortRangeCutoff = cutoff;
+  }
+
+  setAccelerationTolerance(tolerance) {
+    this.accelerationTolerance = tolerance;
   }
 
-  setGroundGravityCoefficient(k) {
-    this.groundGravityCoefficient = k;
+  setCloseEncounterTolerance(tolerance) {
+    this.closeEncounterTolerance = tolerance;
   }
 }
@@ -0,0 +1,161 @@
+/**
+ * Radial pair potentials shared by the force loops (Universe) and the energy diagnostics (energy.js)
+ *
+ * PHYSICS PRINCIPLE: A conservative force is minus the gradient of its potential energy,
+ * F(r) = -dU/dr. Defining both in the same function keeps the forces that move the
+ * particles and the energies we report from drifting apart.
+ *
+ * HOW IT WORKS:
+ * - Each potential takes the distance r and its parameters and returns {energy, force}
+ * - force is the radial component -dU/dr: positive pushes the particles apart (repulsive),
+ *   negative pulls them together (attractive)
+ * - Callers project the force on the line between the particles, and truncate / shift
+ *   short-range potentials at their cutoff (see Universe.calculatePairPotentialEnergy)
+ */
+
+/**
+ * Softened Coulomb potential
+ *
+ * - softening ε = 0: F = s / r², U = s / r (plain Coulomb)
+ * - softening ε > 0: F = s / (r² + ε²), U = s × atan(ε / r) / ε
+ *   The force stays finite at r = 0, and U tends to s / r far from the charge (r ≫ ε)
+ *
+ * @param {number} r - Distance between the charges
+ * @param {number} strength - s = K_electro × q₁ × q₂ (positive for like charges)
+ * @param {number} softening - Softening length ε
+ * @returns {Object} {energy, force}
+ */
+export function coulomb(r, strength, softening) {
+  if (softening <= 0) {
+    return { energy: strength / r, force: strength / (r * r) };
+  }
+  return {
+    energy: strength * Math.atan(softening / r) / softening,
+    force: strength / (r * r + softening * softening)
+  };
+}
+
+/**
+ * Short-range 1/r⁴ repulsion (the "strong force" keeping electrons off nuclei)
+ *
+ * F = k / r⁴, U = k / (3 r³)
+ *
+ * @param {number} r - Distance between the particles
+ * @param {number} strength - k = K_strong × 1e-10
+ * @returns {Object} {energy, force}
+ */
+export function strongRepulsion(r, strength) {
+  const r3 = r * r * r;
+  return { energy: strength / (3 * r3), force: strength / (r3 * r) };
+}
+
+/**
+ * Lennard-Jones potential
+ *
+ * F = 24ε/r × [2(σ/r)¹² - (σ/r)⁶], U = 4ε [(σ/r)¹² - (σ/r)⁶]
+ * Below r = σ/2 the force is held at F(σ/2), so overlapping particles get a huge but
+ * finite push, and the energy continues linearly, U = U(σ/2) + F(σ/2) × (σ/2 - r),
+ * so that F = -dU/dr still holds there
+ *
+ * @param {number} r - Distance between the particles
+ * @param {number} epsilon - Well depth ε
+ * @param {number} sigma - Distance σ where U crosses zero
+ * @returns {Object} {energy, force}
+ */
+export function lennardJones(r, epsilon, sigma) {
+  const distance = Math.max(r, sigma / 2);
+  const ratio6 = Math.pow(sigma / distance, 6);
+  const force = 24 * epsilon / distance * (2 * ratio6 * ratio6 - ratio6);
+  return {
+    energy: 4 * epsilon * (ratio6 * ratio6 - ratio6) + force * (distance - r),
+    force
+  };
+}
+
+/**
+ * Morse potential
+ *
+ * F = 2aD × e^(-a (r - r₀)) × (e^(-a (r - r₀)) - 1), U = D [(1 - e^(-a (r - r₀)))² - 1]
+ *
+ * @param {number} r - Distance between the particles
+ * @param {number} depth - Well depth D
+ * @param {number} alpha - Width parameter a
+ * @param {number} equilibrium - Equilibrium distance r₀
+ * @returns {Object} {energy, force}
+ */
+export function morse(r, depth, alpha, equilibrium) {
+  const decay = Math.exp(-alpha * (r - equilibrium));
+  return {
+    energy: depth * ((1 - decay) * (1 - decay) - 1),
+    force: 2 * alpha * depth * decay * (decay - 1)
+  };
+}
+
+/**
+ * Well of an attractor (see Universe.attractors) for each falloff law
+ *
+ * - constant: F = -s, U = s × r (constant pull, like the central gravity)
+ * - inverse: F = -s × r / (r² + ε²), U = ½ s × ln(r² + ε²) (1/r pull, e.g. a line mass)
+ * - inverseSquare: F = -s / (r² + ε²), U = -s × atan(ε / r) / ε (Newtonian point mass, softened like coulomb)
+ * - harmonic: F = -s × r, U = ½ s × r² (spring toward the attractor)
+ *
+ * @param {number} r - Distance between the particle and the attractor
+ * @param {number} strength - s (positive attracts, negative repels)
+ * @param {string} falloff - Falloff law (see ATTRACTOR_FALLOFFS in physics.js)
+ * @param {number} softening - Softening length ε of the 1/r and 1/r² laws
+ * @returns {Object} {energy, force}
+ */
+export function attractorWell(r, strength, falloff, softening) {
+  switch (falloff) {
+    case 'constant':
+      return { energy: strength * r, force: -strength };
+    case 'inverse': {
+      const softened = r * r + softening * softening;
+      return { energy: 0.5 * strength * Math.log(softened), force: -strength * r / softened };
+    }
+    case 'inverseSquare':
+      return coulomb(r, -strength, softening);
+    case 'harmonic':
+      return { energy: 0.5 * strength * r * r, force: -strength * r };
+    default:
+      throw new Error(`Unknown attractor falloff: ${falloff}`);
+  }
+}
+
+/**
+ * Check that every potential above returns F = -dU/dr
+ *
+ * HOW IT WORKS:
+ * - Each potential is sampled at distances covering its regimes (inside the softening or
+ *   the Lennard-Jones floor, around the well, far away)
+ * - The force is compared with the central difference -(U(r + h) - U(r - h)) / 2h, h = 1e-5 × r
+ * - The error of a potential is the largest difference, relative to the largest |F| it reached
+ *
+ * @returns {Array} [{name, maxError}] for each potential and parameter set
+ */
+export function checkPotentialGradients() {
+  const distances = [0.005, 0.01, 0.02, 0.03, 0.05, 0.08, 0.1, 0.2, 0.5];
+  const cases = [
+    { name: 'coulomb', potential: r => coulomb(r, 1e-5, 0) },
+    { name: 'coulomb (softened)', potential: r => coulomb(r, 1e-5, 0.1) },
+    { name: 'strongRepulsion', potential: r => strongRepulsion(r, 1e-9) },
+    { name: 'lennardJones', potential: r => lennardJones(r, 1e-6, 0.05) },
+    { name: 'morse', potential: r => morse(r, 1e-6, 30, 0.05) },
+    ...['constant', 'inverse', 'inverseSquare', 'harmonic'].map(falloff => ({
+      name: `attractorWell (${falloff})`,
+      potential: r => attractorWell(r, 1e-5, falloff, 0.02)
+    }))
+  ];
+
+  return cases.map(({ name, potential }) => {
+    let maxDifference = 0, maxForce = 0;
+    for (let r of distances) {
+      const h = 1e-5 * r;
+      const gradient = -(potential(r + h).energy - potential(r - h).energy) / (2 * h);
+      const { force } = potential(r);
+      maxDifference = Math.max(maxDifference, Math.abs(force - gradient));
+      maxForce = Math.max(maxForce, Math.abs(force));
+    }
+    return { name, maxError: maxForce > 0 ? maxDifference / maxForce : maxDifference };
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * Celestial mechanics presets for the mutual N-body gravity (see Universe.calculateNBodyGravityForce)
+ *
+ * PHYSICS PRINCIPLE: Two bodies attracting each other as G × m₁ × m₂ / r² move on conic
+ * sections around their common center of mass; a circular orbit of radius r needs the
+ * relative speed v = √(G (m₁ + m₂) / r) (Kepler's problem)
+ *
+ * HOW IT WORKS:
+ * - Each preset gives the universe parameters it needs (simulation units, like scene files):
+ *   mutual gravity on, its own G and softening, and everything that would disturb the
+ *   orbits pinned off whatever the current settings (other gravity, hard-sphere collisions
+ *   between the large star radii, drag, thermostat, strong force, relativity)
+ * - createParticles(random, mode3D) places the bodies with the center of mass at rest
+ *   at the center of the universe, so momentum stays zero while they orbit
+ * - Stars and planets only take part in gravity (see BUILT_IN_SPECIES), so the
+ *   electrostatic and strong forces leave them alone
+ */
+
+import { Particle } from './physics.js';
+import { BUILT_IN_SPECIES } from './species.js';
+
+const GRAVITY_PARAMETERS = {
+  nBodyGravityEnabled: true,
+  gravityEnabled: false,
+  groundGravityEnabled: false,
+  attractorsEnabled: false,
+  strongForceEnabled: false,
+  collisionsEnabled: false,
+  dragEnabled: false,
+  thermostat: 'none',
+  relativistic: false,
+  integrator: 'velocityVerlet',
+};
+
+/**
+ * Relative speed of two bodies on a circular orbit
+ *
+ * @param {number} gravitationalConstant - G
+ * @param {number} totalMass - m₁ + m₂
+ * @param {number} separation - Distance r between the bodies
+ * @returns {number} v = √(G (m₁ + m₂) / r)
+ */
+function circularOrbitSpeed(gravitationalConstant, totalMass, separation) {
+  return Math.sqrt(gravitationalConstant * totalMass / separation);
+}
+
+/**
+ * Two bodies on a Kepler orbit around their center of mass (0.5, 0.5)
+ *
+ * The bodies start on the x axis, `separation` apart, with a relative velocity of
+ * `speed` along y; each body gets its share of the separation and velocity so
+ * that the center of mass stays at rest.
+ */
+function createTwoBodyOrbit(species1, species2, separation, speed) {
+  const totalMass = species1.mass + species2.mass;
+  const share1 = species2.mass / totalMass;
+  const share2 = species1.mass / totalMass;
+
+  return [
+    Particle.fromSpecies(species1, 0.5 - share1 * separation, 0.5, { vy: -share1 * speed }),
+    Particle.fromSpecies(species2, 0.5 + share2 * separation, 0.5, { vy: share2 * speed }),
+  ];
+}
+
+export const CELESTIAL_PRESETS = [
+  {
+    id: 'binaryStars',
+    label: 'Binary stars',
+    description: 'Two equal stars on a circular orbit around their common center of mass',
+    parameters: { ...GRAVITY_PARAMETERS, gravitationalConstant: 2e-8, gravitySoftening: 0.01 },
+    createParticles() {
+      const star = BUILT_IN_SPECIES.star;
+      const separation = 0.3;
+      return createTwoBodyOrbit(star, star, separation, circularOrbitSpeed(2e-8, 2 * star.mass, separation));
+    },
+  },
+  {
+    id: 'keplerOrbit',
+    label: 'Kepler orbit',
+    description: 'A planet on an elliptical orbit around a star (eccentricity ≈ 0.28, starting at aphelion)',
+    parameters: { ...GRAVITY_PARAMETERS, gravitationalConstant: 2e-8, gravitySoftening: 0.001 },
+    createParticles() {
+      const star = BUILT_IN_SPECIES.star;
+      const planet = BUILT_IN_SPECIES.planet;
+      const separation = 0.3;
+      // 85% of the circular speed at aphelion: perihelion at 0.3 × 0.85² / (2 - 0.85²) ≈ 0.17
+      const speed = 0.85 * circularOrbitSpeed(2e-8, star.mass + planet.mass, separation);
+      return createTwoBodyOrbit(star, planet, separation, speed);
+    },
+  },
+  {
+    id: 'starCluster',
+    label: 'Star cluster',
+    description: '16 stars with random positions and velocities, close to virial equilibrium',
+    parameters: { ...GRAVITY_PARAMETERS, gravitationalConstant: 2e-9, gravitySoftening: 0.04 },
+    createParticles(random, mode3D) {
+      const star = BUILT_IN_SPECIES.star;
+      const count = 16;
+      const radius = 0.2;
+
+      // Velocity dispersion of a self-gravitating cluster: σ² ≈ G × M / (2 R) per body
+      const dispersion = Math.sqrt(2e-9 * count * star.mass / (2 * radius)) / (mode3D ? Math.sqrt(3) : Math.sqrt(2));
+
+      const particles = [];
+      for (let i = 0; i < count; i++) {
+        // Uniform in the disk (2D) or the ball (3D)
+        let x, y, z;
+        do {
+          x = 2 * random.next() - 1;
+          y = 2 * random.next() - 1;
+          z = mode3D ? 2 * random.next() - 1 : 0;
+        } while (x * x + y * y + z * z > 1);
+
+        particles.push(Particle.fromSpecies(star, 0.5 + radius * x, 0.5 + radius * y, {
+          z: 0.5 + radius * z,
+          vx: dispersion * random.nextGaussian(),
+          vy: dispersion * random.nextGaussian(),
+          vz: mode3D ? dispersion * random.nextGaussian() : 0,
+        }));
+      }
+
+      // Remove the center-of-mass motion and offset (equal masses: plain averages)
+      const mean = key => particles.reduce((sum, particle) => sum + particle[key], 0) / count;
+      const shift = { x: mean('x') - 0.5, y: mean('y') - 0.5, z: mean('z') - 0.5, vx: mean('vx'), vy: mean('vy'), vz: mean('vz') };
+      for (let particle of particles) {
+        for (let key of Object.keys(shift)) {
+          particle[key] -= shift[key];
+        }
+      }
+
+      return particles;
+    },
+  },
+];
@@ -0,0 +1,39 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Every stochastic part of the simulation draws from a Random instance instead of
+ * Math.random(), so the same seed and parameters reproduce the same run bit for bit.
+ * The whole generator state is one 32-bit integer, which makes it easy to save.
+ */
+
+export class Random {
+  /**
+   * @param {number} seed - Any number; it is reduced to an unsigned 32-bit integer
+   */
+  constructor(seed = 1) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number, uniformly distributed in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next number from the standard normal distribution (mean 0, variance 1), Box-Muller transform
+   *
+   * Draws two uniform numbers per call and keeps no spare value, so the state stays a single integer.
+   */
+  nextGaussian() {
+    const u1 = 1 - this.next(); // In (0, 1], so the logarithm stays finite
+    const u2 = this.next();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+}
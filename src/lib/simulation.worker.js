@@ -0,0 +1,153 @@
+/**
+ * Web Worker running the Universe simulation off the main thread
+ *
+ * The page never touches the Universe directly: it sends commands and receives
+ * snapshots (see Universe.toSnapshot), so rendering and controls stay responsive
+ * however expensive a step is.
+ *
+ * MESSAGE PROTOCOL (page → worker):
+ * - {type: 'init', parameters, particles, bonds, angles}: create a new universe
+ * - {type: 'play'} / {type: 'pause'}: start / stop continuous stepping
+ * - {type: 'step', count}: run count steps (while paused)
+ * - {type: 'setParameters', parameters}: update parameters (see Universe.setParameters)
+ * - {type: 'addParticle', particle}: add a particle (plain object)
+ * - {type: 'addBond', bond} / {type: 'addAngle', angle}: connect particles (see Universe.addBond)
+ * - {type: 'removeParticlesOutside', bounds}: keep only particles inside {minX, maxX, minY, maxY}
+ * - {type: 'clearPhotonSpectrum'}: restart counting emitted and absorbed photons (see Universe.photonSpectrum)
+ * - {type: 'clearConservationHistory'}: restart the energy and momentum history from now (see Universe.sampleConservation)
+ * - {type: 'checkBarnesHutAccuracy'}: compare the Barnes-Hut forces with the exact sum (see Universe.checkBarnesHutAccuracy)
+ *
+ * MESSAGE PROTOCOL (worker → page):
+ * - {type: 'snapshot', snapshot}: current state, posted after every change and every played frame
+ * - {type: 'error', message}: a command or a played frame failed; playing stops, and a
+ *   failed command leaves the universe as it was before it (see Universe.setParameters)
+ */
+
+import { Universe, Particle } from './physics.js';
+
+const STEPS_PER_FRAME = 100; // Steps run per played frame (same pace as the original animation loop)
+const FRAME_INTERVAL_MS = 16; // Target time between played frames (~60 fps)
+
+let universe = null;
+let playing = false;
+let frameTimer = null;
+
+function postSnapshot() {
+  if (!universe) return;
+  self.postMessage({ type: 'snapshot', snapshot: universe.toSnapshot() });
+}
+
+function postError(error) {
+  self.postMessage({ type: 'error', message: error.message });
+}
+
+/**
+ * Run one played frame, then schedule the next one
+ *
+ * Frames are paced to FRAME_INTERVAL_MS; when a frame takes longer, the next one
+ * starts right away and the simulation simply runs slower than real time.
+ */
+function runFrame() {
+  frameTimer = null;
+  if (!playing || !universe) return;
+
+  const start = performance.now();
+  try {
+    universe.runSteps(STEPS_PER_FRAME);
+  } catch (error) {
+    // Stop instead of silently leaving playing set with no frame scheduled
+    pause();
+    postError(error);
+    postSnapshot();
+    return;
+  }
+  postSnapshot();
+
+  const elapsed = performance.now() - start;
+  frameTimer = setTimeout(runFrame, Math.max(0, FRAME_INTERVAL_MS - elapsed));
+}
+
+function play() {
+  playing = true;
+  if (frameTimer === null) {
+    frameTimer = setTimeout(runFrame, 0);
+  }
+}
+
+function pause() {
+  playing = false;
+  if (frameTimer !== null) {
+    clearTimeout(frameTimer);
+    frameTimer = null;
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'init': {
+        // Built aside, so a failed init keeps the current universe
+        const next = new Universe();
+        next.setParameters(message.parameters);
+        for (let data of message.particles) {
+          next.addParticle(Particle.fromData(data));
+        }
+        for (let bond of message.bonds) {
+          next.addBond(bond);
+        }
+        for (let angle of message.angles) {
+          next.addAngle(angle);
+        }
+        // Energy drifts are measured from the initial state
+        next.clearConservationHistory();
+        universe = next;
+        break;
+      }
+      case 'play':
+        play();
+        return;
+      case 'pause':
+        pause();
+        break;
+      case 'step':
+        universe?.runSteps(message.count);
+        break;
+      case 'setParameters':
+        universe?.setParameters(message.parameters);
+        break;
+      case 'addParticle':
+        universe?.addParticle(Particle.fromData(message.particle));
+        break;
+      case 'addBond':
+        universe?.addBond(message.bond);
+        break;
+      case 'addAngle':
+        universe?.addAngle(message.angle);
+        break;
+      case 'removeParticlesOutside':
+        universe?.removeParticlesOutside(message.bounds);
+        break;
+      case 'clearPhotonSpectrum':
+        universe?.clearPhotonSpectrum();
+        break;
+      case 'clearConservationHistory':
+        universe?.clearConservationHistory();
+        break;
+      case 'checkBarnesHutAccuracy':
+        universe?.checkBarnesHutAccuracy();
+        break;
+      default:
+        throw new Error(`Unknown simulation message: ${message.type}`);
+    }
+  } catch (error) {
+    pause();
+    postError(error);
+  }
+
+  // While playing, the next frame posts the new state
+  if (!playing) {
+    postSnapshot();
+  }
+};
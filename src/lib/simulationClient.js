@@ -0,0 +1,93 @@
+/**
+ * Page-side handle on the simulation worker (see simulation.worker.js)
+ *
+ * Wraps the message protocol in methods and forwards every snapshot the worker
+ * posts to the onSnapshot callback, and every error to the onError callback.
+ */
+
+export class SimulationClient {
+  /**
+   * @param {Function} onSnapshot - Called with each snapshot received from the worker
+   * @param {Function} onError - Called with the message of each failed command or frame (playing has stopped)
+   */
+  constructor(onSnapshot, onError = () => {}) {
+    this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => {
+      if (event.data.type === 'snapshot') {
+        onSnapshot(event.data.snapshot);
+      } else if (event.data.type === 'error') {
+        onError(event.data.message);
+      }
+    };
+    this.worker.onerror = (event) => {
+      console.error('Simulation worker error:', event.message);
+      onError(event.message);
+    };
+  }
+
+  /**
+   * Create a new universe in the worker
+   *
+   * @param {Object} parameters - Universe parameters (see Universe.setParameters)
+   * @param {Array<Particle>} particles - Initial particles
+   * @param {Array<Object>} bonds - Initial bonds between particle ids (see Universe.addBond)
+   * @param {Array<Object>} angles - Initial angle terms between particle ids (see Universe.addAngle)
+   */
+  init(parameters, particles, bonds = [], angles = []) {
+    this.worker.postMessage({
+      type: 'init',
+      parameters,
+      particles: particles.map(p => ({ ...p })),
+      bonds: bonds.map(bond => ({ ...bond })),
+      angles: angles.map(angle => ({ ...angle })),
+    });
+  }
+
+  play() {
+    this.worker.postMessage({ type: 'play' });
+  }
+
+  pause() {
+    this.worker.postMessage({ type: 'pause' });
+  }
+
+  step(count = 1) {
+    this.worker.postMessage({ type: 'step', count });
+  }
+
+  setParameters(parameters) {
+    this.worker.postMessage({ type: 'setParameters', parameters });
+  }
+
+  addParticle(particle) {
+    this.worker.postMessage({ type: 'addParticle', particle: { ...particle } });
+  }
+
+  addBond(bond) {
+    this.worker.postMessage({ type: 'addBond', bond: { ...bond } });
+  }
+
+  addAngle(angle) {
+    this.worker.postMessage({ type: 'addAngle', angle: { ...angle } });
+  }
+
+  removeParticlesOutside(bounds) {
+    this.worker.postMessage({ type: 'removeParticlesOutside', bounds });
+  }
+
+  clearPhotonSpectrum() {
+    this.worker.postMessage({ type: 'clearPhotonSpectrum' });
+  }
+
+  clearConservationHistory() {
+    this.worker.postMessage({ type: 'clearConservationHistory' });
+  }
+
+  checkBarnesHutAccuracy() {
+    this.worker.postMessage({ type: 'checkBarnesHutAccuracy' });
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Particle species registry
+ *
+ * A species gathers everything that used to be implied by the sign of the charge:
+ * default charge, mass and radius, how particles are drawn, and which forces act on them.
+ * Particles store their species id (particle.species) and keep their own charge, mass
+ * and radius, so a drawn nucleus can carry several charges and stay a 'proton'.
+ *
+ * SPECIES FIELDS:
+ * - id, name: registry key and display name
+ * - charge, mass, radius: defaults for new particles (radius 0 = point particle)
+ * - color: drawing colour (hex), symbol: text drawn on the particle (null = the charge)
+ * - isPhoton: massless light quanta moving in straight lines (see Universe.advancePhotons)
+ * - radiates: emits and absorbs photons in the speed-threshold emission model (see Universe.checkAndEmitPhotons);
+ *   in the Larmor model every mobile charge radiates
+ * - forces: which interactions the species takes part in (see FORCES); a pair
+ *   interaction only acts when both particles take part in it
+ */
+
+/**
+ * Interactions a species can take part in
+ * - electromagnetic: Coulomb force, external electric fields and the Lorentz force
+ * - strong: short-range 1/r⁴ repulsion (keeps electrons from collapsing onto nuclei)
+ * - gravity: central and ground gravity, mutual N-body gravity
+ */
+export const FORCES = [
+  { id: 'electromagnetic', label: 'Electromagnetic' },
+  { id: 'strong', label: 'Strong (short-range)' },
+  { id: 'gravity', label: 'Gravity' },
+];
+
+const ALL_FORCES = { electromagnetic: true, strong: true, gravity: true };
+
+export const BUILT_IN_SPECIES = {
+  electron: {
+    id: 'electron', name: 'Electron', charge: -1, mass: 1, radius: 0.01,
+    color: '#3b82f6', symbol: '−', isPhoton: false, radiates: true, forces: { ...ALL_FORCES }
+  },
+  proton: {
+    id: 'proton', name: 'Proton', charge: 1, mass: 100, radius: 0.02,
+    color: '#ef4444', symbol: null, isPhoton: false, radiates: false, forces: { ...ALL_FORCES }
+  },
+  neutron: {
+    id: 'neutron', name: 'Neutron', charge: 0, mass: 100, radius: 0.02,
+    color: '#94a3b8', symbol: 'n', isPhoton: false, radiates: false, forces: { ...ALL_FORCES }
+  },
+  positron: {
+    id: 'positron', name: 'Positron', charge: 1, mass: 1, radius: 0.01,
+    color: '#22c55e', symbol: '+', isPhoton: false, radiates: true, forces: { ...ALL_FORCES }
+  },
+  alpha: {
+    id: 'alpha', name: 'Alpha particle', charge: 2, mass: 400, radius: 0.03,
+    color: '#f97316', symbol: 'α', isPhoton: false, radiates: false, forces: { ...ALL_FORCES }
+  },
+  star: {
+    id: 'star', name: 'Star', charge: 0, mass: 100, radius: 0.03,
+    color: '#facc15', symbol: '★', isPhoton: false, radiates: false,
+    forces: { electromagnetic: false, strong: false, gravity: true }
+  },
+  planet: {
+    id: 'planet', name: 'Planet', charge: 0, mass: 1, radius: 0.012,
+    color: '#38bdf8', symbol: '', isPhoton: false, radiates: false,
+    forces: { electromagnetic: false, strong: false, gravity: true }
+  },
+  photon: {
+    id: 'photon', name: 'Photon', charge: 0, mass: 0, radius: 0,
+    color: '#fbbf24', symbol: null, isPhoton: true, radiates: false,
+    forces: { electromagnetic: false, strong: false, gravity: false }
+  },
+};
+
+/**
+ * Build the registry of built-in and user-defined species
+ *
+ * @param {Array<Object>} customSpecies - User-defined species (same fields as the built-ins)
+ * @returns {Object} Species keyed by id
+ */
+export function createSpeciesRegistry(customSpecies = []) {
+  const registry = { ...BUILT_IN_SPECIES };
+  for (let species of customSpecies) {
+    registry[species.id] = species;
+  }
+  return registry;
+}
+
+/**
+ * Species of a particle created without one (positional Particle constructor, old scene files)
+ */
+export function inferSpecies(charge, isPhoton = false) {
+  if (isPhoton) return 'photon';
+  if (charge > 0) return 'proton';
+  if (charge < 0) return 'electron';
+  return 'neutron';
+}
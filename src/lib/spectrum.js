@@ -0,0 +1,100 @@
+/**
+ * Photon wavelengths, colours and spectrum binning
+ *
+ * PHYSICS PRINCIPLE: A photon's wavelength is fixed by its energy, λ = h·c / E
+ * (Planck–Einstein relation): energetic photons are blue / ultraviolet, soft ones red / infrared
+ *
+ * HOW IT WORKS:
+ * 1. WAVELENGTH: λ = h·c / E with the universe's Planck constant and speed of light,
+ *    expressed in nanometres so visible light falls between 380 and 750
+ *
+ * 2. COLOUR: Visible wavelengths get their spectral colour (piecewise-linear approximation
+ *    of the CIE colours); ultraviolet stays violet and infrared stays deep red, both dimmed
+ *    so they remain visible on the canvas
+ *
+ * 3. BINNING: The spectrum is split into SPECTRUM_BIN_COUNT bins of equal width in log(λ)
+ *    between SPECTRUM_MIN_WAVELENGTH and SPECTRUM_MAX_WAVELENGTH; wavelengths outside
+ *    the range are counted in the first or last bin
+ */
+
+export const VISIBLE_MIN_WAVELENGTH = 380; // nm
+export const VISIBLE_MAX_WAVELENGTH = 750; // nm
+export const SPECTRUM_MIN_WAVELENGTH = 100; // nm
+export const SPECTRUM_MAX_WAVELENGTH = 10000; // nm
+export const SPECTRUM_BIN_COUNT = 40;
+
+/**
+ * Wavelength of a photon
+ *
+ * @param {number} energy - Photon energy
+ * @param {number} planckConstant - h, in energy × s × nm / U (see Universe.planckConstant)
+ * @param {number} speedOfLight - c, in U/s
+ * @returns {number} Wavelength in nm (Infinity for a zero-energy photon)
+ */
+export function photonWavelength(energy, planckConstant, speedOfLight) {
+  if (energy <= 0) return Infinity;
+  return planckConstant * speedOfLight / energy;
+}
+
+/**
+ * Drawing colour of a wavelength
+ *
+ * @param {number} wavelength - Wavelength in nm
+ * @returns {string} Hex colour (#rrggbb)
+ */
+export function wavelengthToColor(wavelength) {
+  const clamped = Math.min(Math.max(wavelength, VISIBLE_MIN_WAVELENGTH), VISIBLE_MAX_WAVELENGTH);
+  let r = 0, g = 0, b = 0;
+  if (clamped < 440) {
+    r = (440 - clamped) / (440 - 380);
+    b = 1;
+  } else if (clamped < 490) {
+    g = (clamped - 440) / (490 - 440);
+    b = 1;
+  } else if (clamped < 510) {
+    g = 1;
+    b = (510 - clamped) / (510 - 490);
+  } else if (clamped < 580) {
+    r = (clamped - 510) / (580 - 510);
+    g = 1;
+  } else if (clamped < 645) {
+    r = 1;
+    g = (645 - clamped) / (645 - 580);
+  } else {
+    r = 1;
+  }
+
+  // Fade towards the edges of the visible range, and dim invisible light
+  let intensity = 1;
+  if (clamped < 420) {
+    intensity = 0.4 + 0.6 * (clamped - 380) / (420 - 380);
+  } else if (clamped > 700) {
+    intensity = 0.4 + 0.6 * (750 - clamped) / (750 - 700);
+  }
+  if (wavelength < VISIBLE_MIN_WAVELENGTH || wavelength > VISIBLE_MAX_WAVELENGTH) {
+    intensity = 0.4;
+  }
+
+  const channel = value => Math.round(255 * value * intensity).toString(16).padStart(2, '0');
+  return `#${channel(r)}${channel(g)}${channel(b)}`;
+}
+
+/**
+ * Index of the spectrum bin containing a wavelength
+ */
+export function spectrumBin(wavelength) {
+  const fraction = Math.log(wavelength / SPECTRUM_MIN_WAVELENGTH) /
+    Math.log(SPECTRUM_MAX_WAVELENGTH / SPECTRUM_MIN_WAVELENGTH);
+  return Math.min(SPECTRUM_BIN_COUNT - 1, Math.max(0, Math.floor(fraction * SPECTRUM_BIN_COUNT)));
+}
+
+/**
+ * Central wavelength of a spectrum bin (geometric mean of its edges)
+ *
+ * @param {number} bin - Bin index
+ * @returns {number} Wavelength in nm
+ */
+export function spectrumBinWavelength(bin) {
+  const ratio = SPECTRUM_MAX_WAVELENGTH / SPECTRUM_MIN_WAVELENGTH;
+  return SPECTRUM_MIN_WAVELENGTH * Math.pow(ratio, (bin + 0.5) / SPECTRUM_BIN_COUNT);
+}